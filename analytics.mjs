@@ -0,0 +1,246 @@
+// server/analytics.mjs
+// Aggregations over `sessions` for the /admin/analytics endpoints.
+//
+// Every report takes a range from parseRange(): turns are selected by their
+// own timestamp (history.ts), not the session's, so a long session is split
+// across the buckets it actually spans. Buckets are calendar units in
+// ANALYTICS_TZ (default America/New_York).
+//
+// An assistant turn is classified by the metadata appendTurn stored on it:
+//   blocked  – guard refused the question (canned response)
+//   override – a forced reviewed answer was returned
+//   cached   – served from the answer cache
+//   rag      – generated from retrieved context (retrieval.topScore is the
+//              best raw similarity; under SITE_THRESHOLD counts as low confidence)
+import dotenv from "dotenv"; dotenv.config();
+import { DEFAULTS } from "./retrieval.mjs";
+
+export const BUCKETS = ["hour", "day", "week", "month"];
+const TZ = process.env.ANALYTICS_TZ || "America/New_York";
+const DEFAULT_DAYS = 30;
+const MAX_BUCKETS = 2000;
+
+// ---------- range ----------
+// { from, to, bucket, threshold } from query params; defaults to the last 30 days by day.
+// Returns { range } or { error }.
+export function parseRange(query = {}) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_DAYS * 24 * 3600 * 1000);
+    if (isNaN(from) || isNaN(to)) return { error: "from/to must be dates (ISO 8601)" };
+    if (from > to) return { error: "from must be before to" };
+
+    const bucket = query.bucket || "day";
+    if (!BUCKETS.includes(bucket)) return { error: `bucket must be one of ${BUCKETS.join(", ")}` };
+    const unitMs = { hour: 3600e3, day: 86400e3, week: 7 * 86400e3, month: 28 * 86400e3 }[bucket];
+    if ((to - from) / unitMs > MAX_BUCKETS) return { error: `Range too long for bucket "${bucket}" (max ${MAX_BUCKETS} buckets)` };
+
+    const threshold = query.threshold !== undefined ? Number(query.threshold) : DEFAULTS.SITE_THRESHOLD;
+    if (!Number.isFinite(threshold)) return { error: "threshold must be a number" };
+
+    return { range: { from, to, bucket, threshold, tz: TZ } };
+}
+
+// Turns of `role` inside the range, one document per turn ({ sid, h })
+function turnsPipeline({ from, to }, role) {
+    return [
+        // a session holding a turn in [from, to] was updated after `from` and created before `to`
+        { $match: { updatedAt: { $gte: from }, createdAt: { $lte: to } } },
+        { $project: { _id: 0, sid: 1, history: 1 } },
+        { $unwind: "$history" },
+        { $match: { "history.role": role, "history.ts": { $gte: from, $lte: to } } },
+        { $project: { sid: 1, h: "$history" } }
+    ];
+}
+
+const bucketOf = ({ bucket, tz }) => ({ $dateTrunc: { date: "$h.ts", unit: bucket, timezone: tz, ...(bucket === "week" ? { startOfWeek: "monday" } : {}) } });
+
+// how an assistant turn was produced (see header)
+const ANSWER_KIND = {
+    $switch: {
+        branches: [
+            { case: { $gt: ["$h.blocked.category", null] }, then: "blocked" },
+            { case: { $eq: ["$h.override", true] }, then: "override" },
+            { case: { $gt: ["$h.cached", null] }, then: "cached" }
+        ],
+        default: "rag"
+    }
+};
+
+const rate = (n, d) => (d ? n / d : null);
+
+// ---------- reports ----------
+
+// Questions asked per bucket (blocked ones included and counted separately)
+export async function questionVolume(db, range) {
+    const rows = await db.collection("sessions").aggregate([
+        ...turnsPipeline(range, "user"),
+        {
+            $group: {
+                _id: bucketOf(range),
+                questions: { $sum: 1 },
+                blocked: { $sum: { $cond: [{ $gt: ["$h.blocked.category", null] }, 1, 0] } },
+                sids: { $addToSet: "$sid" }
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, bucket: "$_id", questions: 1, blocked: 1, sessions: { $size: "$sids" } } }
+    ]).toArray();
+
+    const totals = rows.reduce((t, r) => ({ questions: t.questions + r.questions, blocked: t.blocked + r.blocked }), { questions: 0, blocked: 0 });
+    return { totals, buckets: rows };
+}
+
+// Thumbs up/down on answers, per bucket of the answer's timestamp
+export async function feedbackRates(db, range) {
+    const rows = await db.collection("sessions").aggregate([
+        ...turnsPipeline(range, "assistant"),
+        {
+            $group: {
+                _id: bucketOf(range),
+                answers: { $sum: 1 },
+                up: { $sum: { $cond: [{ $eq: ["$h.feedback.correct", true] }, 1, 0] } },
+                down: { $sum: { $cond: [{ $eq: ["$h.feedback.correct", false] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, bucket: "$_id", answers: 1, up: 1, down: 1 } }
+    ]).toArray();
+
+    const buckets = rows.map(r => ({ ...r, rated: r.up + r.down, upRate: rate(r.up, r.up + r.down) }));
+    const t = buckets.reduce((a, r) => ({ answers: a.answers + r.answers, up: a.up + r.up, down: a.down + r.down }), { answers: 0, up: 0, down: 0 });
+    const totals = { ...t, rated: t.up + t.down, ratedRate: rate(t.up + t.down, t.answers), upRate: rate(t.up, t.up + t.down) };
+    return { totals, buckets };
+}
+
+// Answers by kind (override / rag / cached / blocked), with feedback per kind
+export async function answerKinds(db, range) {
+    const rows = await db.collection("sessions").aggregate([
+        ...turnsPipeline(range, "assistant"),
+        { $addFields: { kind: ANSWER_KIND } },
+        {
+            $group: {
+                _id: { bucket: bucketOf(range), kind: "$kind" },
+                count: { $sum: 1 },
+                up: { $sum: { $cond: [{ $eq: ["$h.feedback.correct", true] }, 1, 0] } },
+                down: { $sum: { $cond: [{ $eq: ["$h.feedback.correct", false] }, 1, 0] } }
+            }
+        },
+        { $sort: { "_id.bucket": 1 } }
+    ]).toArray();
+
+    const byBucket = new Map();
+    const totals = {};
+    for (const r of rows) {
+        const key = r._id.bucket.toISOString();
+        if (!byBucket.has(key)) byBucket.set(key, { bucket: r._id.bucket, override: 0, rag: 0, cached: 0, blocked: 0 });
+        byBucket.get(key)[r._id.kind] = r.count;
+
+        const t = totals[r._id.kind] || (totals[r._id.kind] = { count: 0, up: 0, down: 0 });
+        t.count += r.count;
+        t.up += r.up;
+        t.down += r.down;
+    }
+    const answered = Object.values(totals).reduce((n, t) => n + t.count, 0);
+    for (const t of Object.values(totals)) {
+        t.share = rate(t.count, answered);
+        t.upRate = rate(t.up, t.up + t.down);
+    }
+    return { totals, answered, buckets: [...byBucket.values()] };
+}
+
+// Share of RAG answers whose best retrieved chunk scored under the threshold
+export async function confidence(db, range) {
+    const rows = await db.collection("sessions").aggregate([
+        ...turnsPipeline(range, "assistant"),
+        { $match: { "h.retrieval.topScore": { $type: "number" } } },
+        {
+            $group: {
+                _id: bucketOf(range),
+                answers: { $sum: 1 },
+                low: { $sum: { $cond: [{ $lt: ["$h.retrieval.topScore", range.threshold] }, 1, 0] } },
+                lowDown: { $sum: { $cond: [{ $and: [{ $lt: ["$h.retrieval.topScore", range.threshold] }, { $eq: ["$h.feedback.correct", false] }] }, 1, 0] } },
+                avgTopScore: { $avg: "$h.retrieval.topScore" }
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, bucket: "$_id", answers: 1, low: 1, lowDown: 1, avgTopScore: 1 } }
+    ]).toArray();
+
+    const buckets = rows.map(r => ({ ...r, lowRate: rate(r.low, r.answers) }));
+    const answers = rows.reduce((n, r) => n + r.answers, 0);
+    const low = rows.reduce((n, r) => n + r.low, 0);
+    const lowDown = rows.reduce((n, r) => n + r.lowDown, 0);
+    const avgTopScore = answers ? rows.reduce((s, r) => s + r.avgTopScore * r.answers, 0) / answers : null;
+    return { threshold: range.threshold, totals: { answers, low, lowRate: rate(low, answers), lowDown, avgTopScore }, buckets };
+}
+
+// Pages cited most often in answers (PDF page anchors folded into the document URL)
+export async function topSources(db, range, { limit = 25 } = {}) {
+    return db.collection("sessions").aggregate([
+        ...turnsPipeline(range, "assistant"),
+        { $unwind: "$h.citations" },
+        {
+            $group: {
+                _id: { $arrayElemAt: [{ $split: ["$h.citations.url", "#"] }, 0] },
+                title: { $first: "$h.citations.title" },
+                citations: { $sum: 1 },
+                up: { $sum: { $cond: [{ $eq: ["$h.feedback.correct", true] }, 1, 0] } },
+                down: { $sum: { $cond: [{ $eq: ["$h.feedback.correct", false] }, 1, 0] } },
+                lastCitedAt: { $max: "$h.ts" }
+            }
+        },
+        { $sort: { citations: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, url: "$_id", title: 1, citations: 1, up: 1, down: 1, lastCitedAt: 1 } }
+    ]).toArray();
+}
+
+// Most frequent questions, grouped by the standalone (condensed) wording when
+// there is one so follow-ups like "what about part-time?" don't collapse together
+export async function topQuestions(db, range, { limit = 25 } = {}) {
+    return db.collection("sessions").aggregate([
+        ...turnsPipeline(range, "user"),
+        { $match: { "h.blocked": { $exists: false } } },
+        {
+            $addFields: {
+                key: {
+                    $trim: {
+                        input: {
+                            $toLower: { $ifNull: ["$h.condensedQuery", "$h.content"] }
+                        }
+                    }
+                }
+            }
+        },
+        { $match: { key: { $ne: "" } } },
+        {
+            $group: {
+                _id: "$key",
+                example: { $first: { $ifNull: ["$h.condensedQuery", "$h.content"] } },
+                count: { $sum: 1 },
+                sids: { $addToSet: "$sid" },
+                lastAskedAt: { $max: "$h.ts" }
+            }
+        },
+        { $sort: { count: -1, lastAskedAt: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, question: "$example", count: 1, sessions: { $size: "$sids" }, lastAskedAt: 1 } }
+    ]).toArray();
+}
+
+// Headline numbers for the whole range (no buckets)
+export async function summary(db, range) {
+    const [volume, feedback, kinds, conf] = await Promise.all([
+        questionVolume(db, range),
+        feedbackRates(db, range),
+        answerKinds(db, range),
+        confidence(db, range)
+    ]);
+    return {
+        questions: volume.totals.questions,
+        blocked: volume.totals.blocked,
+        feedback: feedback.totals,
+        answers: kinds.totals,
+        lowConfidence: { threshold: conf.threshold, ...conf.totals }
+    };
+}
@@ -0,0 +1,81 @@
+// server/answerCache.mjs
+// Semantic answer cache for first-turn /ask questions (collection `answer_cache`).
+//
+// Entries are keyed by the embedding of the condensed query; a lookup hits when
+// the best cosine similarity reaches ANSWER_CACHE_THRESHOLD. Entries expire
+// after ANSWER_CACHE_TTL_HOURS (TTL index on expiresAt) and are dropped early
+// when a page they cite is re-indexed or removed, or when any override changes.
+//   { query, qvec, answer, sources, citations, citedUrls, hits, createdAt, lastHitAt, expiresAt }
+// Set ANSWER_CACHE=off to disable.
+import dotenv from "dotenv"; dotenv.config();
+import { cosine } from "./embeddings.mjs";
+
+export const ANSWER_CACHE_ENABLED = !/^(off|false|0)$/i.test(process.env.ANSWER_CACHE || "");
+export const ANSWER_CACHE_THRESHOLD = Number(process.env.ANSWER_CACHE_THRESHOLD) || 0.95;
+export const ANSWER_CACHE_TTL_HOURS = Number(process.env.ANSWER_CACHE_TTL_HOURS) || 24;
+const SCAN_LIMIT = 2000; // most recent entries compared per lookup
+
+const cacheCol = (db) => db.collection("answer_cache");
+
+// page URL without the #page=N suffix of PDF sources
+const pageUrl = (u) => String(u).split("#")[0];
+
+// Best live entry for `qvec`, or null. Counts the hit.
+export async function lookupAnswer(db, qvec) {
+    if (!ANSWER_CACHE_ENABLED || !Array.isArray(qvec)) return null;
+    const entries = await cacheCol(db)
+        .find({ expiresAt: { $gt: new Date() } })
+        .project({ qvec: 1 })
+        .sort({ createdAt: -1 })
+        .limit(SCAN_LIMIT)
+        .toArray();
+
+    let best = null;
+    for (const e of entries) {
+        if (!Array.isArray(e.qvec)) continue;
+        const sim = cosine(qvec, e.qvec);
+        if (!best || sim > best.sim) best = { _id: e._id, sim };
+    }
+    if (!best || best.sim < ANSWER_CACHE_THRESHOLD) return null;
+
+    const entry = await cacheCol(db).findOneAndUpdate(
+        { _id: best._id },
+        { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+        { returnDocument: "after", projection: { qvec: 0 } }
+    );
+    return entry ? { entry, sim: best.sim } : null;
+}
+
+export async function storeAnswer(db, { query, qvec, answer, sources = [], citations = [] }) {
+    if (!ANSWER_CACHE_ENABLED || !Array.isArray(qvec) || !answer) return null;
+    const now = new Date();
+    const citedUrls = [...new Set([...sources, ...citations.map(c => c.url)].map(pageUrl))];
+    const { insertedId } = await cacheCol(db).insertOne({
+        query,
+        qvec,
+        answer,
+        sources,
+        citations,
+        citedUrls,
+        hits: 0,
+        createdAt: now,
+        lastHitAt: null,
+        expiresAt: new Date(now.getTime() + ANSWER_CACHE_TTL_HOURS * 3600 * 1000)
+    });
+    return insertedId;
+}
+
+// Drop entries citing any of `urls` (pages re-indexed, tombstoned or purged)
+export async function invalidateAnswersForUrls(db, urls) {
+    const list = [...new Set((urls || []).map(pageUrl))];
+    if (!list.length) return 0;
+    const r = await cacheCol(db).deleteMany({ citedUrls: { $in: list } });
+    if (r.deletedCount) console.log(`Answer cache: dropped ${r.deletedCount} entr${r.deletedCount === 1 ? "y" : "ies"} citing ${list.length === 1 ? list[0] : `${list.length} pages`}`);
+    return r.deletedCount || 0;
+}
+
+// Drop everything (an override change can affect any answer)
+export async function clearAnswerCache(db) {
+    const r = await cacheCol(db).deleteMany({});
+    return r.deletedCount || 0;
+}
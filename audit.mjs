@@ -0,0 +1,118 @@
+// server/audit.mjs
+// Append-only audit trail of administrative changes (collection `audit_log`).
+//
+// auditMutations() is mounted once for the whole app. For every POST/PUT/
+// PATCH/DELETE that passed verifyToken (req.user is set), it writes one entry
+// after the response has gone out:
+//   { actor, role, action: "<METHOD> <route pattern>", target, body, status, ip, ua, createdAt }
+// `target` is the route params (:id, :sid, :username…) or, for routes without
+// any, the identifying body fields. `body` is a summary: secrets are masked,
+// long strings and arrays are shortened. Entries are only ever inserted; there
+// is no API to edit or delete them.
+import { getDb } from "./db.mjs";
+
+const MUTATING = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+const SECRET_KEY = /pass(word)?|token|secret|api[-_]?key/i;
+const TARGET_KEYS = ["username", "sid", "mid", "id", "question", "sitemap"];
+const MAX_STRING = 200;
+const MAX_ARRAY = 10;
+const MAX_KEYS = 25;
+
+const auditCol = (db) => db.collection("audit_log");
+
+function summarize(value, depth = 0) {
+    if (value === null || value === undefined) return value ?? null;
+    if (typeof value === "string") return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… (${value.length} chars)` : value;
+    if (typeof value !== "object") return value;
+    if (depth >= 2) return Array.isArray(value) ? `[${value.length} items]` : "{…}";
+    if (Array.isArray(value)) {
+        return value.length > MAX_ARRAY ? `[${value.length} items]` : value.map(v => summarize(v, depth + 1));
+    }
+    const out = {};
+    for (const [k, v] of Object.entries(value).slice(0, MAX_KEYS)) {
+        out[k] = SECRET_KEY.test(k) ? "[redacted]" : summarize(v, depth + 1);
+    }
+    return out;
+}
+
+// Request body summary (raw text bodies, e.g. CSV imports, are only measured)
+export function summarizeBody(body) {
+    if (typeof body === "string") return { text: `${body.length} chars` };
+    if (!body || typeof body !== "object" || !Object.keys(body).length) return null;
+    return summarize(body);
+}
+
+function targetOf(req) {
+    if (req.params && Object.keys(req.params).length) return { ...req.params };
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const picked = Object.fromEntries(TARGET_KEYS.filter(k => body[k] !== undefined).map(k => [k, summarize(body[k], 2)]));
+    return Object.keys(picked).length ? picked : null;
+}
+
+export function auditMutations() {
+    return (req, res, next) => {
+        if (!MUTATING.has(req.method)) return next();
+        res.on("finish", () => {
+            if (!req.user) return; // not an authenticated admin request (or rejected by verifyToken)
+            const entry = {
+                actor: req.user.username || null,
+                role: req.user.role || null,
+                action: `${req.method} ${req.route ? `${req.baseUrl}${req.route.path}` : req.path}`,
+                target: targetOf(req),
+                body: summarizeBody(req.body),
+                status: res.statusCode,
+                ip: req.ip || null,
+                ua: String(req.headers["user-agent"] || "").slice(0, 200),
+                createdAt: new Date()
+            };
+            getDb()
+                .then(db => auditCol(db).insertOne(entry))
+                .catch(err => console.error("Audit log write failed:", entry.action, err.message || err));
+        });
+        next();
+    };
+}
+
+// ---------- queries ----------
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Mongo filter from query params: actor, role, action (substring), target (any
+// target value), status (exact code, or "error" for >= 400), from, to.
+// Returns { filter } or { error }.
+export function auditFilter(query = {}) {
+    const filter = {};
+    if (query.actor) filter.actor = String(query.actor);
+    if (query.role) filter.role = String(query.role);
+    if (query.action) filter.action = { $regex: escapeRegex(String(query.action)), $options: "i" };
+    if (query.target) {
+        const t = String(query.target);
+        filter.$or = [...TARGET_KEYS, "action"].map(k => ({ [`target.${k}`]: t }));
+    }
+    if (query.status) {
+        if (query.status === "error") filter.status = { $gte: 400 };
+        else if (/^\d{3}$/.test(String(query.status))) filter.status = Number(query.status);
+        else return { error: "status must be an HTTP status code or \"error\"" };
+    }
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        for (const [k, op] of [["from", "$gte"], ["to", "$lte"]]) {
+            if (!query[k]) continue;
+            const d = new Date(query[k]);
+            if (isNaN(d)) return { error: `${k} must be a date (ISO 8601)` };
+            filter.createdAt[op] = d;
+        }
+    }
+    return { filter };
+}
+
+export async function listAudit(db, filter, { limit = 100, skip = 0 } = {}) {
+    const [total, rows] = await Promise.all([
+        auditCol(db).countDocuments(filter),
+        auditCol(db).find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray()
+    ]);
+    return { total, rows };
+}
+
+export function auditCursor(db, filter) {
+    return auditCol(db).find(filter, { sort: { createdAt: -1 } });
+}
@@ -4,6 +4,9 @@ import { getDb } from "./db.mjs";
 
 const JWT_SECRET = process.env.JWT_SECRET || "templelawsecret";
 
+// admin: manage content; approver: also publishes overrides; superadmin: everything incl. users
+export const USER_ROLES = ["admin", "approver", "superadmin"];
+
 // ---------- Register new user (superadmin only) ----------
 export async function registerUser(username, password, role = "admin") {
   const db = await getDb();
@@ -0,0 +1,77 @@
+// server/csv.mjs
+// Minimal RFC 4180 CSV reading/writing (quoted fields, "" escapes, embedded
+// newlines, CRLF or LF line ends, optional UTF-8 BOM). Enough for spreadsheet
+// exports; no dependency needed.
+//
+// Cells starting with = + - @ tab or CR would run as formulas when the file is
+// opened in a spreadsheet, so toCsv() prefixes them with ' and parseCsv()
+// removes it again. Values already starting with ' before one of those get
+// one more, which keeps export -> import lossless.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+// Parse CSV text into an array of records keyed by the (trimmed) header row.
+// Each record also gets `_line`, the 1-based line its row starts on.
+export function parseCsv(text) {
+    const src = String(text || "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === "\"" && src[i + 1] === "\"") { field += "\""; i++; }
+            else if (ch === "\"") quoted = false;
+            else {
+                if (ch === "\n") line++;
+                field += ch;
+            }
+        } else if (ch === "\"" && field === "") {
+            quoted = true;
+        } else if (ch === ",") {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && src[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push({ cells: row, line: rowLine });
+            row = [];
+            field = "";
+            rowLine = ++line;
+        } else {
+            field += ch;
+        }
+    }
+    if (quoted) throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+    if (field !== "" || row.length) {
+        row.push(field);
+        rows.push({ cells: row, line: rowLine });
+    }
+
+    const nonEmpty = rows.filter(r => r.cells.some(c => c.trim() !== ""));
+    if (!nonEmpty.length) return [];
+    const header = nonEmpty[0].cells.map(h => h.trim());
+    return nonEmpty.slice(1).map(r => ({
+        ...Object.fromEntries(header.map((h, i) => [h, unescapeFormula(r.cells[i] ?? "")])),
+        _line: r.line
+    }));
+}
+
+const unescapeFormula = (s) => (s.startsWith("'") && FORMULA_START.test(s) ? s.slice(1) : s);
+
+function csvField(v) {
+    if (v === null || v === undefined) return "";
+    let s = v instanceof Date ? v.toISOString() : String(v);
+    if (FORMULA_START.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+// Records -> CSV text with the given columns as the header row (CRLF line ends)
+export function toCsv(records, columns) {
+    const lines = [columns.map(csvField).join(",")];
+    for (const r of records) lines.push(columns.map(c => csvField(r[c])).join(","));
+    return `${lines.join("\r\n")}\r\n`;
+}
@@ -3,14 +3,29 @@ import dotenv from "dotenv";
 dotenv.config();
 import express from "express";
 import morgan from "morgan";
-import axios from "axios";
 import cors from "cors";
 import crypto from "crypto";
 
 import { getDb } from "./db.mjs";
-import { embed, cosine } from "./embeddings.mjs";
-import { collectFromSitemap, indexUrl } from "./indexer.mjs";
-import { registerUser, loginUser, verifyToken } from "./auth.mjs";
+import { embed } from "./embeddings.mjs";
+import { getProvider } from "./providers.mjs";
+import { getVectorIndex } from "./vectorIndex.mjs";
+import { DEFAULTS, condenseQuery, retrieve, findOverride, isForcedOverride, reviewedChunk, buildMessages, rankingTrace, numberSources, extractCitations } from "./retrieval.mjs";
+import { validateRule, seedQueryRules, clearQueryRulesCache, RULE_TYPES } from "./queryRules.mjs";
+import { createIndexJob, enqueueIndexJob, cancelIndexJob, recoverIndexJobs } from "./jobs.mjs";
+import { registerUser, loginUser, verifyToken, USER_ROLES } from "./auth.mjs";
+import { parseGoldenSet, runEval, compareRuns } from "./eval.mjs";
+import { buildMemory, updateMemory } from "./memory.mjs";
+import { lookupAnswer, storeAnswer, clearAnswerCache } from "./answerCache.mjs";
+import { checkQuestion, screenContext, getGuardConfig, updateGuardConfig, GUARD_CATEGORIES } from "./guard.mjs";
+import { redactPII, minimizeIp, getRetentionConfig, updateRetentionConfig, purgeSession, runRetention, startRetentionSweeps } from "./retention.mjs";
+import { parseRange, summary as analyticsSummary, questionVolume, feedbackRates, answerKinds, confidence, topSources, topQuestions } from "./analytics.mjs";
+import { startMiningRun, getMiningRun, recoverMiningRuns, listClusters, getCluster, dismissCluster, resolveCluster } from "./unanswered.mjs";
+import { upsertOverride, updateOverride, deleteOverride, listRevisions, getRevision, restoreRevision, transitionOverride, parseValidityWindow, startOverrideExpiry, exportOverrides, importOverrides, OVERRIDE_STATUSES, TRANSFER_COLUMNS } from "./overrides.mjs";
+import { parseCsv, toCsv } from "./csv.mjs";
+import { auditMutations, auditFilter, listAudit, auditCursor } from "./audit.mjs";
+import { rateLimit, getRateLimitConfig, updateRateLimitConfig, listThrottled, RATE_ROUTES, DEFAULT_LIMITS } from "./rateLimit.mjs";
+import { RERANKERS } from "./rerank.mjs";
 
 // ---------------------------------------------------------------------
 // App setup
@@ -36,7 +51,14 @@ app.use(cors({
 }));
 
 
+// behind a proxy (e.g. Render), req.ip must come from X-Forwarded-For for per-IP limits
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isFinite(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(express.json({ limit: "2mb" }));
+app.use(auditMutations()); // records every authenticated POST/PUT/PATCH/DELETE in audit_log
 app.use(morgan("tiny"));
 
 // ---------------------------------------------------------------------
@@ -53,9 +75,18 @@ function requireAdmin(req, res, next) {
 // Session helpers (Mongo)
 // ---------------------------------------------------------------------
 import { randomUUID } from "crypto"; // Node's crypto randomUUID
+// User turns are minimized before storage: PII in the text is redacted and the
+// client IP is hashed/truncated according to the retention settings.
 async function appendTurn(db, sid, { role, content, sources = [], meta = {} }) {
     const now = new Date();
     const mid = randomUUID();
+    if (role === "user") {
+        content = redactPII(content);
+        if ("ip" in meta) {
+            const { ipMode } = await getRetentionConfig(db);
+            meta = { ...meta, ip: minimizeIp(meta.ip, ipMode) };
+        }
+    }
     await db.collection("sessions").updateOne(
         { sid },
         {
@@ -65,12 +96,23 @@ async function appendTurn(db, sid, { role, content, sources = [], meta = {} }) {
         },
         { upsert: true }
     );
+    return mid;
+}
+
+// Add fields to an existing turn (e.g. the condensed query once it is known)
+async function annotateTurn(db, sid, mid, fields) {
+    const set = Object.fromEntries(Object.entries(fields).map(([k, v]) => [`history.$.${k}`, v]));
+    await db.collection("sessions").updateOne({ sid, "history.mid": mid }, { $set: set });
+}
+
+async function loadSession(db, sid) {
+    if (!sid) return null;
+    return db.collection("sessions").findOne({ sid });
 }
 
-async function loadHistory(db, sid) {
-    if (!sid) return [];
-    const s = await db.collection("sessions").findOne({ sid });
-    return s?.history || [];
+// Fold turns that left the recent window into the session summary (after replying)
+function foldMemory(db, sid) {
+    updateMemory(db, sid).catch(err => console.warn("Memory update failed for", sid, err.message || err));
 }
 
 // Ensure useful indexes at boot (safe to run every start)
@@ -80,6 +122,13 @@ async function loadHistory(db, sid) {
     await db.collection("sessions").createIndex({ updatedAt: -1 });
     await db.collection("sessions").createIndex({ "history.content": "text" });
     await db.collection("chunks").createIndex({ text: "text" }).catch(() => { });
+    startRetentionSweeps(db);
+    startOverrideExpiry(db);
+    await seedQueryRules(db).catch(err => console.error("Query rule seeding failed:", err));
+    await recoverIndexJobs(db).catch(err => console.error("Index job recovery failed:", err));
+    await recoverMiningRuns(db).catch(err => console.error("Mining run recovery failed:", err));
+    // load (or build) the vector index now rather than on the first /ask
+    await getVectorIndex(db).catch(err => console.error("Vector index load failed:", err));
     // safe helper to convert id to ObjectId or return null if invali
 
 })();
@@ -123,288 +172,238 @@ app.get("/stats", async (_req, res) => {
 // ---------------------------------------------------------------------
 // Ask (RAG + session persistence)
 // ---------------------------------------------------------------------
-app.post("/ask", async (req, res) => {
-    try {
-        // read incoming body early and normalize
-        const { q = "", sid: clientSid } = req.body || {};
-        const query = (q || "").trim();
-        if (!query) return res.status(400).json({ error: "Empty question" });
 
-        const sid = clientSid || crypto.randomUUID();
-        const db = await getDb();
+// Runs the guard/retrieval/override pipeline for one question and returns either
+// a ready answer ({ kind: "blocked" | "override" | "cached" }) or the prompt to
+// send to the model ({ kind: "rag" }). Shared by the JSON and streaming /ask variants.
+async function prepareAsk(db, sid, query, userMid) {
+    // Load history for grounding; the current question was already appended (as
+    // userMid, with PII redacted), so drop it by id rather than by content
+    const session = await loadSession(db, sid);
+    const history = session?.history || [];
+    // (blocked turns are left out so refused instructions never reach the model)
+    const prior = history.filter(h => h.mid !== userMid && !h.blocked);
+
+    // STEP: guardrails (injection, off-topic, abusive, legal advice) before any model call
+    const blocked = await checkQuestion(db, query);
+    if (blocked) {
+        console.log(`Guard blocked question (${blocked.category}, by ${blocked.by}) in session ${sid}:`, redactPII(query));
+        const { answer, ...tag } = blocked;
+        return { kind: "blocked", answer, sources: [], citations: [], meta: { blocked: tag } };
+    }
 
-        // Save user turn
-        await appendTurn(db, sid, {
-            role: "user",
-            content: query,
-            meta: { ip: req.ip, ua: req.headers["user-agent"] || "" }
-        });
+    // STEP: condense follow-ups into a standalone query (also fixes grammar)
+    const condensedQuery = await condenseQuery(query, prior);
+    // (logged questions are redacted like stored turns, see appendTurn)
+    console.log("Condensed query:", redactPII(condensedQuery));
 
-        // STEP: expand "explain more"
-        let expandedQuery = query;
-        if (/^(explain|tell|say)\s+more/i.test(query)) {
-            const s = await db.collection("sessions").findOne({ sid });
-            if (s?.history?.length) {
-                const lastAssistant = [...s.history].reverse().find(h => h.role === "assistant" && h.content && !/conversation reset/i.test(h.content));
-                const lastUser = [...s.history].reverse().find(h => h.role === "user" && h.content && h.content !== query);
-                const context = [
-                    lastUser?.content ? `Previous question: ${lastUser.content}` : "",
-                    lastAssistant?.content ? `Previous answer: ${lastAssistant.content}` : ""
-                ].filter(Boolean).join("\n");
-                expandedQuery = `Please elaborate on the previous topic.\n${context}`;
-                console.log("Expanded 'explain more' →", expandedQuery);
-            }
-        }
+    // STEP: embed once; used by the override lookup, the answer cache and retrieval
+    const qvec = await embed(condensedQuery);
 
-        // Load short history for grounding
-        const history = await loadHistory(db, sid);
+    // normalize query (ensure same normalization used when saving overrides)
+    const normQuery = (query || "").trim().toLowerCase();
 
-        // Normalize grammar via GPT (keep meaning)
-        const normRes = await axios.post(
-            "https://api.openai.com/v1/responses",
-            {
-                model: "gpt-4o-mini",
-                input: [
-                    { role: "system", content: "You are a grammar normalizer. Fix grammar and phrasing but keep meaning identical." },
-                    { role: "user", content: expandedQuery }
-                ],
-                temperature: 0
-            },
-            { headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } }
-        );
-        const normalizedQuery = normRes.data.output?.[0]?.content?.[0]?.text?.trim() || expandedQuery;
-        console.log("Normalized query:", normalizedQuery);
-
-        // STEP: compute embedding
-        const qvec = await embed(normalizedQuery);
-        if (qvec.length !== 1536) console.warn("Unexpected embedding length:", qvec.length);
-
-        // STEP: keyword expansion and prefilter
-        const words = [...new Set(normalizedQuery.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 3))];
-        const synonyms = { start: ["begin", "open", "commence"], finish: ["end", "close"], tuition: ["fees", "billing"], academic: ["school", "semester", "classes"], calendar: ["schedule", "term", "dates"], law: ["temple law", "beasley school of law"], policy: ["rule", "procedure"] };
-        let expanded = new Set(words);
-        for (const w of words) if (synonyms[w]) synonyms[w].forEach(s => expanded.add(s));
-        const expandedWords = [...expanded];
-
-        let prefilter = [];
-        if (expandedWords.length) {
-            try {
-                prefilter = await db.collection("chunks")
-                    .find({ $text: { $search: expandedWords.join(" ") } })
-                    .project({ embedding: 1, text: 1, url: 1 })
-                    .limit(400)
-                    .toArray();
-            } catch {
-                const or = expandedWords.map(w => ({ text: new RegExp(`\\b${w}\\b`, "i") }));
-                prefilter = await db.collection("chunks").find({ $or: or }).limit(400).toArray();
-            }
-        }
+    // STEP: override lookup (exact, then semantic down to the reviewed-context threshold)
+    const match = await findOverride(db, normQuery, qvec, { minSim: Math.min(DEFAULTS.OVERRIDE_EMB_THRESHOLD, DEFAULTS.REVIEWED_CONTEXT_THRESHOLD) });
+    const overrideDoc = match?.doc || null;
 
-        // Fallback context enrichment if few hits
-        if (prefilter.length < 30) {
-            const keywordPool = ["academic", "calendar", "semester", "schedule", "start", "dates", "program", "tuition", "policy", "admissions"];
-            const orExtra = keywordPool.map(w => ({ text: new RegExp(`\\b${w}\\b`, "i") }));
-            const extras = await db.collection("chunks").find({ $or: orExtra }).project({ embedding: 1, text: 1, url: 1 }).limit(100).toArray();
-            prefilter.push(...extras);
-        }
+    // debug logs
+    console.log("normQuery:", redactPII(normQuery));
+    console.log("overrideDoc (final):", overrideDoc ? { question: overrideDoc.question, force: overrideDoc.force, sim: match.sim } : null);
 
-        // Force include environmental docs if relevant
-        const qLower = normalizedQuery.toLowerCase();
-        if (qLower.includes("environmental law") || qLower.includes("energy") || qLower.includes("climate") || qLower.includes("sustainability")) {
-            const envDocs = await db.collection("chunks").find({ url: { $regex: "environmental-law", $options: "i" } }).project({ embedding: 1, text: 1, url: 1 }).toArray();
-            if (envDocs.length) prefilter.push(...envDocs);
-        }
+    // Decision rules: ONLY return an override verbatim when it is forced (and matched closely enough).
+    if (isForcedOverride(match)) {
+        console.log("Using forced override for:", redactPII(normQuery));
+        const answer = overrideDoc.answer ?? overrideDoc.assistantContent;
+        return { kind: "override", condensedQuery, answer, sources: ["Reviewed Answer"], citations: [], meta: { override: true, reviewer: overrideDoc.reviewer, forced: true } };
+    }
 
-        if (!prefilter.length) {
-            prefilter = await db.collection("chunks").find({}).project({ embedding: 1, text: 1, url: 1 }).limit(400).toArray();
+    // STEP: answer cache, only for first-turn questions (nothing in the history to depend on)
+    const firstTurn = !prior.some(h => h.role === "user" || h.role === "assistant");
+    if (firstTurn) {
+        const hit = await lookupAnswer(db, qvec).catch(err => { console.warn("Answer cache lookup failed:", err.message || err); return null; });
+        if (hit) {
+            console.log(`Answer cache hit (sim ${hit.sim.toFixed(3)}):`, hit.entry.query);
+            return {
+                kind: "cached",
+                condensedQuery,
+                answer: hit.entry.answer,
+                sources: hit.entry.sources || [],
+                citations: hit.entry.citations || [],
+                meta: { cached: { id: hit.entry._id, sim: hit.sim } }
+            };
         }
+    }
 
-        // Rank by cosine similarity
-        const ranked = prefilter.map(c => {
-            const emb = Array.isArray(c.embedding) ? c.embedding.map(Number) : [];
-            return { url: c.url, text: c.text, score: cosine(qvec, emb) };
-        }).sort((a, b) => b.score - a.score);
-
-        console.log("Top 3 similarity scores:", ranked.slice(0, 3).map(r => r.score.toFixed(3)));
-
-        // Deep retrieval if low-similarity and previous assistant said "I don't know"
-        if (!ranked.length || ranked[0].score < 0.45) {
-            console.warn("Low embedding similarity — deep retrieval:", normalizedQuery);
-            const session = await db.collection("sessions").findOne({ sid });
-            const lastAssistant = [...(session?.history || [])].reverse().find(h => h.role === "assistant");
-            let deepMode = false;
-            if (lastAssistant && /i don't know/i.test(lastAssistant.content)) deepMode = true;
-
-            let fallbackDocs = [];
-            if (deepMode) {
-                fallbackDocs = await db.collection("chunks").find({ text: { $regex: ".", $options: "i" } }).project({ text: 1, url: 1, embedding: 1 }).limit(1500).toArray();
-            } else {
-                fallbackDocs = await db.collection("chunks").find({ text: { $regex: normalizedQuery, $options: "i" } }).project({ text: 1, url: 1, embedding: 1 }).limit(100).toArray();
-            }
-
-            const rescored = fallbackDocs.map(doc => ({ url: doc.url, text: doc.text, score: cosine(qvec, doc.embedding.map(Number)) }));
-            ranked.push(...rescored.sort((a, b) => b.score - a.score).slice(0, 15));
-        }
+    // STEP: retrieve and rank chunks
+    const { top: ranked, topScore, reranker } = await retrieve(db, condensedQuery, { sid, qvec });
+    console.log("Top chunk score:", topScore.toFixed ? topScore.toFixed(3) : topScore);
 
-        // choose top candidates
-        const MIN_SIM = 0.12;
-        let top = ranked.filter(r => r.score >= MIN_SIM).slice(0, 12);
-        if (!top.length) top = ranked.slice(0, 12);
+    // drop retrieved chunks that carry instructions aimed at the model
+    const { kept, dropped } = screenContext(ranked);
 
-        // Build context for LLM
-        const context = top.map((t, i) => `Source ${i + 1}:\n${t.text.trim().toLowerCase()}\n(URL: ${t.url})`).join("\n\n");
+    // a matched, non-forced override goes in first as reviewed context (staff-written, so not screened)
+    const reviewed = reviewedChunk(match);
+    const top = reviewed ? [reviewed, ...kept] : kept;
+    if (reviewed) console.log(`Adding reviewed answer to context (sim ${reviewed.sim.toFixed(3)}):`, overrideDoc.question);
+    console.log(topScore >= DEFAULTS.SITE_THRESHOLD ? "Site confident — using RAG/LLM answer." : "Site not confident — proceeding with RAG/LLM pipeline.");
 
-        console.log("Top retrieved chunks (first 10):");
-        for (const r of ranked.slice(0, 10)) {
-            console.log(`→ Score: ${r.score.toFixed(3)} | ${r.url}`);
-        }
+    // STEP: Build prompt (system + budgeted memory + context)
+    const messages = buildMessages(condensedQuery, top, buildMemory(session, prior));
 
-        // Decision constants
-        const SITE_THRESHOLD = 0.45;
-        const OVERRIDE_EMB_THRESHOLD = 0.82;
+    // per-stage scores of the chosen chunks, saved on the assistant turn for debugging
+    const retrieval = { query: condensedQuery, topScore, reranker, chunks: rankingTrace(top), ...(dropped.length ? { screened: dropped.map(c => c.url) } : {}) };
+    const reviewedMeta = reviewed ? { reviewed: reviewed.reviewed } : {};
 
-        // normalize query (ensure same normalization used when saving overrides)
-        const normQuery = (query || "").trim().toLowerCase();
+    // numbered, de-duplicated sources; [n] in the answer refers to numbered[n - 1]
+    const numbered = numberSources(top);
 
-        // ensure topScore numeric
-        const topScore = Number(ranked?.[0]?.score ?? 0);
+    return { kind: "rag", condensedQuery, qvec, cacheable: firstTurn, messages, numbered, sources: numbered.map(s => s.url), meta: { retrieval, ...reviewedMeta } };
+}
 
-        // safe mid generator
-        const makeMid = () => {
-            if (crypto && typeof crypto.randomUUID === "function") return crypto.randomUUID();
-            return `${Date.now()}-${Math.floor(Math.random() * 1e9)}`;
-        };
+// What prepareAsk learned about the question, stored on the user turn for review
+function userTurnTags(prep) {
+    if (prep.kind === "blocked") return { blocked: prep.meta.blocked };
+    return { condensedQuery: redactPII(prep.condensedQuery) };
+}
 
-        // 1) exact normalized match / force check
-        let overrideDoc = null;
+// Cache a finished first-turn RAG answer (never fallbacks or "I don't know")
+function cacheAnswer(db, prep, answer, citations) {
+    if (!prep.cacheable || answer === FALLBACK_ANSWER || /i don't know/i.test(answer)) return;
+    storeAnswer(db, { query: redactPII(prep.condensedQuery), qvec: prep.qvec, answer, sources: prep.sources, citations })
+        .catch(err => console.warn("Answer cache store failed:", err.message || err));
+}
 
-        try {
-            const overridesCol = db.collection("faq_overrides");
-            const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-            const qRegex = new RegExp(`^${escapeRegex((normQuery || "").trim())}$`, "i");
+const FALLBACK_ANSWER = "I couldn't find relevant info in the provided pages.";
 
-            // try normalized field first, then question
-            overrideDoc = await overridesCol.findOne({ normQuestion: { $regex: qRegex } })
-                || await overridesCol.findOne({ question: { $regex: qRegex } });
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-            console.log("overrideDoc (force-check):", overrideDoc ? { question: overrideDoc.question, force: overrideDoc.force } : null);
+// one rate-limit check for both /ask variants (the JSON handler hands SSE requests on)
+app.post(["/ask", "/ask/stream"], rateLimit("ask"));
 
-            if (overrideDoc && overrideDoc.force === true && (overrideDoc.answer || overrideDoc.assistantContent)) {
-                const answer = overrideDoc.answer ?? overrideDoc.assistantContent;
+app.post("/ask", async (req, res, next) => {
+    // Accept: text/event-stream opts into the streaming variant
+    if ((req.headers.accept || "").includes("text/event-stream")) return next("route");
+    try {
+        // read incoming body early and normalize
+        const { q = "", sid: clientSid } = req.body || {};
+        const query = (q || "").trim();
+        if (!query) return res.status(400).json({ error: "Empty question" });
 
-                console.log("Returning forced override answer for:", normQuery, "answer:", answer?.slice?.(0, 120));
-                const mid = makeMid();
-                const sources = ["Reviewed Answer"];
+        const sid = clientSid || crypto.randomUUID();
+        const db = await getDb();
 
-                // write assistant turn to sessions
-                await appendTurn(db, sid, { role: "assistant", content: answer, sources, meta: { override: true, reviewer: overrideDoc.reviewer, forced: true } });
+        // Save user turn
+        const userMid = await appendTurn(db, sid, {
+            role: "user",
+            content: query,
+            meta: { ip: req.ip, ua: req.headers["user-agent"] || "" }
+        });
 
-                return res.json({ sid, answer, sources, mid });
-            }
-        } catch (err) {
-            console.error("Override force-check error:", err);
-            // fall through to normal flow
+        const prep = await prepareAsk(db, sid, query, userMid);
+        await annotateTurn(db, sid, userMid, userTurnTags(prep));
+        if (prep.kind !== "rag") {
+            // guard block, forced override or cache hit: the answer is ready
+            const mid = await appendTurn(db, sid, { role: "assistant", content: prep.answer, sources: prep.sources, meta: { ...prep.meta, citations: prep.citations } });
+            foldMemory(db, sid);
+            return res.json({ sid, answer: prep.answer, sources: prep.sources, citations: prep.citations, cached: prep.kind === "cached", mid });
         }
 
-        // 2) semantic matching fallback (only run if no exact override matched)
-        if (!overrideDoc) {
-            try {
-                const candidates = await db.collection("faq_overrides")
-                    .find({ questionEmbedding: { $exists: true } })
-                    .project({ assistantContent: 1, answer: 1, force: 1, reviewer: 1, questionEmbedding: 1, question: 1 })
-                    .toArray();
-
-                console.log("Semantic override candidates:", candidates.length);
-                if (candidates.length && Array.isArray(qvec)) {
-                    let best = null;
-                    for (const c of candidates) {
-                        if (!Array.isArray(c.questionEmbedding)) continue;
-                        const emb = c.questionEmbedding.map(Number);
-                        const sim = cosine(qvec, emb);
-                        if (!best || sim > best.sim) best = { doc: c, sim };
-                    }
-                    if (best) {
-                        console.log("Best semantic override sim:", best.sim.toFixed(3), "question:", best.doc.question);
-                    }
-                    if (best && best.sim >= OVERRIDE_EMB_THRESHOLD) {
-                        overrideDoc = best.doc;
-                    } else {
-                        console.log("No semantic override match (best sim):", best ? best.sim.toFixed(3) : "n/a");
-                    }
-                }
-            } catch (err) {
-                console.warn("Semantic override lookup failed:", err);
-            }
-        }
+        const answer = (await getProvider().chat({ messages: prep.messages, temperature: 0.2, maxTokens: 500 })) || FALLBACK_ANSWER;
+        const { sources } = prep;
+        const citations = extractCitations(answer, prep.numbered);
 
-        // debug logs
-        console.log("normQuery:", normQuery);
-        console.log("Top chunk score:", topScore.toFixed ? topScore.toFixed(3) : topScore);
-        console.log("overrideDoc (final):", overrideDoc ? { question: overrideDoc.question, force: overrideDoc.force } : null);
-
-        // Decision rules: ONLY return an override when force === true.
-        if (overrideDoc && overrideDoc.force) {
-            console.log("Using forced override for:", normQuery);
-            const answer = overrideDoc.answer ?? overrideDoc.assistantContent;
-            const mid = makeMid();
-            await appendTurn(db, sid, { role: "assistant", content: answer, sources: ["Reviewed Answer"], meta: { override: true, reviewer: overrideDoc.reviewer, forced: true } });
-            return res.json({ sid, answer, sources: ["Reviewed Answer"], mid });
-        }
+        // Save assistant turn
+        const mid = await appendTurn(db, sid, { role: "assistant", content: answer, sources, meta: { ...prep.meta, citations } });
+        foldMemory(db, sid);
+        cacheAnswer(db, prep, answer, citations);
 
-        // If site is confident, prefer site answer (do not use non-forced override)
-        if (topScore >= SITE_THRESHOLD) {
-            console.log("Site confident — using RAG/LLM answer (override not applied).");
-        } else {
-            // site not confident but override is NOT forced -> DO NOT automatically return override.
-            if (overrideDoc) {
-                console.log("Site not confident and admin override exists but is not forced. Continuing to RAG/LLM pipeline (override will not be auto-applied).");
-            } else {
-                console.log("Site not confident and no admin override — proceeding with RAG/LLM pipeline.");
-            }
-        }
+        return res.json({ sid, answer, sources, citations, cached: false, mid });
 
-        // STEP: Generate answer using OpenAI (system + history + context)
-        const system = "You are Temple Law’s website assistant. Answer ONLY using the context below (from law.temple.edu). If the context seems insufficient, search across the full law.temple.edu website (already indexed) before saying you don't know. If still missing, suggest the most relevant Temple Law page or section.";
-        const messages = [
-            { role: "system", content: system },
-            ...history.map(h => ({ role: h.role, content: h.content })),
-            { role: "user", content: `Question: ${normalizedQuery}\n\n=== WEBSITE CONTEXT START ===\n${context}\n=== WEBSITE CONTEXT END ===` }
-        ];
+    } catch (e) {
+        console.error("ASK error:", e.stack || e);
+        return res.status(500).json({ error: e.message || String(e) });
+    }
+});
 
-        const r = await axios.post(
-            "https://api.openai.com/v1/responses",
-            { model: "gpt-4o-mini", input: messages, temperature: 0.2, max_output_tokens: 500 },
-            { headers: { "Content-Type": "application/json", Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } }
-        );
+// Streaming variant of /ask (Server-Sent Events).
+// Events: "meta" { sid, sources, cached } → "delta" { text }* → "done" { sid, mid, citations }.
+// If the client disconnects mid-answer, the partial text is saved with partial: true.
+app.post(["/ask", "/ask/stream"], async (req, res) => {
+    const { q = "", sid: clientSid } = req.body || {};
+    const query = (q || "").trim();
+    if (!query) return res.status(400).json({ error: "Empty question" });
 
-        const answer =
-            r.data.output_text ??
-            (Array.isArray(r.data.output) ? r.data.output.map(o => Array.isArray(o.content) ? o.content.map(c => c.text ?? "").join("") : "").join("\n") : "") ??
-            (r.data.choices && r.data.choices[0]?.message?.content) ??
-            "I couldn't find relevant info in the provided pages.";
+    const sid = clientSid || crypto.randomUUID();
+    const controller = new AbortController();
+    let finished = false;
+    let answer = "";
 
-        const sources = top.map(t => t.url);
+    res.on("close", () => {
+        if (!finished) controller.abort();
+    });
 
-        // Save assistant turn
-        const mid = crypto.randomUUID();
-        await db.collection("sessions").updateOne(
-            { sid },
-            {
-                $push: { history: { mid, role: "assistant", content: answer, sources, ts: new Date() } },
-                $set: { updatedAt: new Date() }
-            },
-            { upsert: true }
-        );
+    try {
+        const db = await getDb();
 
-        console.log("normQuery:", normQuery);
-        console.log("Top chunk score:", (topScore || 0).toFixed(3));
-        console.log("overrideDoc (db lookup):", overrideDoc);
+        const userMid = await appendTurn(db, sid, {
+            role: "user",
+            content: query,
+            meta: { ip: req.ip, ua: req.headers["user-agent"] || "" }
+        });
 
-        return res.json({ sid, answer, sources, mid });
+        const prep = await prepareAsk(db, sid, query, userMid);
+        await annotateTurn(db, sid, userMid, userTurnTags(prep));
 
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream; charset=utf-8",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+            "X-Accel-Buffering": "no"
+        });
+        sendEvent(res, "meta", { sid, sources: prep.sources, cached: prep.kind === "cached" });
+
+        if (prep.kind !== "rag") {
+            sendEvent(res, "delta", { text: prep.answer });
+            const mid = await appendTurn(db, sid, { role: "assistant", content: prep.answer, sources: prep.sources, meta: { ...prep.meta, citations: prep.citations } });
+            foldMemory(db, sid);
+            finished = true;
+            sendEvent(res, "done", { sid, mid, citations: prep.citations });
+            return res.end();
+        }
+
+        try {
+            await getProvider().chatStream({ messages: prep.messages, temperature: 0.2, maxTokens: 500 }, text => {
+                answer += text;
+                sendEvent(res, "delta", { text });
+            }, controller.signal);
+            if (!answer) {
+                answer = FALLBACK_ANSWER;
+                sendEvent(res, "delta", { text: answer });
+            }
+        } catch (err) {
+            if (!controller.signal.aborted) throw err;
+            console.warn("ASK stream: client disconnected, saving partial answer for", sid);
+            if (answer) await appendTurn(db, sid, { role: "assistant", content: answer, sources: prep.sources, meta: { ...prep.meta, citations: extractCitations(answer, prep.numbered), partial: true } });
+            return;
+        }
+
+        const citations = extractCitations(answer, prep.numbered);
+        const mid = await appendTurn(db, sid, { role: "assistant", content: answer, sources: prep.sources, meta: { ...prep.meta, citations } });
+        foldMemory(db, sid);
+        cacheAnswer(db, prep, answer, citations);
+        finished = true;
+        sendEvent(res, "done", { sid, mid, citations });
+        res.end();
     } catch (e) {
-        console.error("ASK error:", e.stack || e);
-        return res.status(500).json({ error: e.message || String(e) });
+        console.error("ASK stream error:", e.stack || e);
+        finished = true;
+        if (!res.headersSent) return res.status(500).json({ error: e.message || String(e) });
+        sendEvent(res, "error", { error: e.message || String(e) });
+        res.end();
     }
 });
 
@@ -417,38 +416,16 @@ app.post("/review", verifyToken, async (req, res) => {
         if (!question || !correctedAnswer) return res.status(400).json({ error: "Missing question or correctedAnswer" });
 
         const db = await getDb();
-        const clean = question.trim();
-        const norm = clean.toLowerCase();
-        const now = new Date();
-
-        // compute an embedding for the normalized question so we can do semantic lookup later
-        let questionEmbedding = null;
-        try {
-            questionEmbedding = await embed(norm);
-        } catch (err) {
-            console.warn("Question embedding failed (proceeding without embedding):", err.message || err);
-            questionEmbedding = null;
-        }
-
-        await db.collection("faq_overrides").updateOne(
-            { normQuestion: norm },
-            {
-                $set: {
-                    question: clean,
-                    normQuestion: norm,
-                    answer: correctedAnswer,
-                    reviewer: req.adminUser || "admin",
-                    force: !!force,
-                    sid: sid || null,
-                    assistantMid: assistantMid || null,
-                    assistantContent: assistantContent || null,
-                    updatedAt: now,
-                    ...(questionEmbedding ? { questionEmbedding } : {})
-                },
-                $setOnInsert: { createdAt: now }
-            },
-            { upsert: true }
-        );
+        await upsertOverride(db, {
+            question,
+            answer: correctedAnswer,
+            reviewer: req.user?.username || "admin",
+            force: !!force,
+            sid: sid || null,
+            assistantMid: assistantMid || null,
+            assistantContent: assistantContent || null
+        }, { author: req.user?.username || "admin" });
+        await clearAnswerCache(db); // cached answers may predate the override
 
         return res.json({ ok: true });
     } catch (e) {
@@ -459,7 +436,7 @@ app.post("/review", verifyToken, async (req, res) => {
 
 // ---------------------------------------------------------------------
 // Reset (delete a session)
-app.post("/reset", async (req, res) => {
+app.post("/reset", rateLimit("reset"), async (req, res) => {
     const { sid } = req.body || {};
     if (!sid) return res.json({ ok: true });
     const db = await getDb();
@@ -468,7 +445,7 @@ app.post("/reset", async (req, res) => {
 });
 
 // Feedback endpoint (existing)
-app.post("/feedback", async (req, res) => {
+app.post("/feedback", rateLimit("feedback"), async (req, res) => {
     try {
         const { sid, mid, correct, comment } = req.body;
         if (!sid || !mid) return res.status(400).json({ error: "Missing sid or mid" });
@@ -480,7 +457,7 @@ app.post("/feedback", async (req, res) => {
                 $set: {
                     "history.$.feedback": {
                         correct,
-                        comment,
+                        comment: typeof comment === "string" ? redactPII(comment) : comment,
                         ts: new Date()
                     }
                 }
@@ -492,39 +469,117 @@ app.post("/feedback", async (req, res) => {
     }
 });
 
-// Indexing endpoint (unchanged)
-app.post("/index", async (req, res) => {
+// ---------------------------------------------------------------------
+// Indexing jobs
+// ---------------------------------------------------------------------
+
+// POST /index  Body: { sitemap, max, force } -> 202 { jobId }
+// The crawl runs in the background; poll GET /admin/index/jobs/:id.
+app.post("/index", verifyToken, async (req, res) => {
     try {
-        const { sitemap = "https://law.temple.edu/sitemap_index.xml", max = 2000 } = req.body || {};
+        const { sitemap = "https://law.temple.edu/sitemap_index.xml", max = 2000, force = false } = req.body || {};
         const db = await getDb();
+        const job = await createIndexJob(db, { sitemap, max, force }, { createdBy: req.user?.username || null, origin: "api" });
+        enqueueIndexJob(db, job._id);
+        res.status(202).json({ ok: true, jobId: job._id, status: job.status });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
 
-        const deny = [
-            /\/wp-admin/i, /\/wp-json/i, /\/feed/i,
-            /\.pdf$/i, /\.jpg$/i, /\.jpeg$/i, /\.png$/i, /\.gif$/i, /\.svg$/i,
-            /twitter\.com/i, /facebook\.com/i, /linkedin\.com/i
-        ];
+// GET /admin/index/jobs (history, newest first; per-URL errors omitted)
+app.get("/admin/index/jobs", verifyToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const L = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const filter = {};
+        if (req.query.status) filter.status = String(req.query.status);
+        const rows = await db.collection("index_jobs")
+            .find(filter)
+            .project({ errors: 0 })
+            .sort({ createdAt: -1 })
+            .limit(L)
+            .toArray();
+        res.json({ ok: true, rows });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/index/jobs/:id (progress, counts, per-URL errors)
+app.get("/admin/index/jobs/:id", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+        const db = await getDb();
+        const job = await db.collection("index_jobs").findOne({ _id: oid });
+        if (!job) return res.status(404).json({ error: "Not found" });
+        res.json({ ok: true, job });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
 
-        const urls = (await collectFromSitemap(sitemap, max))
-            .filter(u => u.startsWith("https://law.temple.edu/"));
-
-        let done = 0, added = 0, updated = 0, unchanged = 0, skipped = 0;
-        for (const u of urls) {
-            const r = await indexUrl(db, u, deny);
-            if (r.status === "added") added++;
-            else if (r.status === "updated") updated++;
-            else if (r.status === "unchanged") unchanged++;
-            else if (r.skipped) skipped++;
-            done++;
-            if (done % 20 === 0) console.log(`Indexed ${done}/${urls.length}`);
+// POST /admin/index/jobs/:id/cancel
+app.post("/admin/index/jobs/:id/cancel", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+        const db = await getDb();
+        const job = await cancelIndexJob(db, oid);
+        if (!job) return res.status(404).json({ error: "Not found" });
+        res.json({ ok: true, job });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/index/purged?from=&to=&q=&limit=&skip=
+// Pages removed after going missing from the sitemap (or 404/410) for several crawls
+app.get("/admin/index/purged", verifyToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const { q = "", from = "", to = "", limit = "100", skip = "0" } = req.query;
+        const L = Math.min(parseInt(limit, 10) || 100, 500);
+        const S = Math.max(parseInt(skip, 10) || 0, 0);
+
+        const filter = {};
+        if (q) filter.url = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+        if (from || to) {
+            filter.purgedAt = {};
+            if (from) filter.purgedAt.$gte = new Date(from);
+            if (to) filter.purgedAt.$lte = new Date(to);
         }
-        res.json({ ok: true, total: urls.length, added, updated, unchanged, skipped });
+
+        const col = db.collection("purged_pages");
+        const [total, rows] = await Promise.all([
+            col.countDocuments(filter),
+            col.find(filter).sort({ purgedAt: -1 }).skip(S).limit(L).toArray()
+        ]);
+        res.json({ ok: true, total, limit: L, skip: S, rows });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/index/tombstoned (pages currently hidden from retrieval, pending purge)
+app.get("/admin/index/tombstoned", verifyToken, async (_req, res) => {
+    try {
+        const db = await getDb();
+        const rows = await db.collection("pages")
+            .find({ tombstonedAt: { $ne: null } })
+            .project({ url: 1, title: 1, missingRuns: 1, tombstonedAt: 1, lastMissingAt: 1 })
+            .sort({ tombstonedAt: -1 })
+            .limit(1000)
+            .toArray();
+        res.json({ ok: true, rows });
     } catch (e) {
         res.status(500).json({ error: e.message || String(e) });
     }
 });
 
 // Admin/history endpoints (unchanged)
-app.get("/history", async (req, res) => {
+app.get("/history", rateLimit("history"), async (req, res) => {
     try {
         const sid = (req.query.sid || "").trim();
         if (!sid) return res.status(400).json({ error: "Missing sid" });
@@ -538,13 +593,15 @@ app.get("/history", async (req, res) => {
 
 app.get("/admin/sessions", verifyToken, async (req, res) => {
     const db = await getDb();
-    const { q = "", from = "", to = "", limit = "25", skip = "0" } = req.query;
+    const { q = "", from = "", to = "", blocked = "", limit = "25", skip = "0" } = req.query;
 
     const L = Math.min(parseInt(limit, 10) || 25, 200);
     const S = Math.max(parseInt(skip, 10) || 0, 0);
 
     const match = {};
     if (q) match.$text = { $search: q };
+    // ?blocked=1 -> only sessions with guard-blocked turns (or ?blocked=<category>)
+    if (blocked) match["history.blocked.category"] = GUARD_CATEGORIES.includes(blocked) ? blocked : { $exists: true };
     if (from || to) {
         match.updatedAt = {};
         if (from) match.updatedAt.$gte = new Date(from);
@@ -583,6 +640,15 @@ app.get("/admin/sessions", verifyToken, async (req, res) => {
                                         cond: { $eq: ["$$h.feedback.correct", false] }
                                     }
                                 }
+                            },
+                            blockedCount: {
+                                $size: {
+                                    $filter: {
+                                        input: { $ifNull: ["$history", []] },
+                                        as: "h",
+                                        cond: { $and: [{ $eq: ["$$h.role", "user"] }, { $gt: ["$$h.blocked.category", null] }] }
+                                    }
+                                }
                             }
                         }
                     }
@@ -613,9 +679,245 @@ app.get("/admin/export.ndjson", verifyToken, async (req, res) => {
 });
 
 app.delete("/admin/session/:sid", verifyToken, async (req, res) => {
-    const db = await getDb();
-    const r = await db.collection("sessions").deleteOne({ sid: req.params.sid });
-    res.json({ ok: true, deleted: r.deletedCount || 0 });
+    try {
+        const db = await getDb();
+        const r = await purgeSession(db, req.params.sid, { reason: "admin-delete", requestedBy: req.user?.username || "admin" });
+        res.json({ ok: true, deleted: r ? 1 : 0, report: r?.report || null });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// POST /admin/session/:sid/purge  (data-subject request: export, then delete)
+// -> { ok, export: <full session document>, report }
+app.post("/admin/session/:sid/purge", verifyToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const r = await purgeSession(db, req.params.sid, { reason: "request", requestedBy: req.user?.username || "admin" });
+        if (!r) return res.status(404).json({ error: "Not found" });
+        res.setHeader("Content-Disposition", `attachment; filename="session-${encodeURIComponent(req.params.sid)}.json"`);
+        res.json({ ok: true, export: r.export, report: r.report });
+    } catch (e) {
+        console.error("POST /admin/session/:sid/purge error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// ---------------------------------------------------------------------
+// Retention (session expiry, purge reports)
+// ---------------------------------------------------------------------
+
+// GET /admin/retention -> { config }
+app.get("/admin/retention", verifyToken, async (_req, res) => {
+    try {
+        const db = await getDb();
+        res.json({ ok: true, config: await getRetentionConfig(db) });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// PATCH /admin/retention  Body: { sessionDays, ipMode: "hash"|"truncate"|"drop" }
+app.patch("/admin/retention", verifyToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const { config, error } = await updateRetentionConfig(db, req.body || {}, req.user?.username || "admin");
+        if (error) return res.status(400).json({ error });
+        res.json({ ok: true, config });
+    } catch (e) {
+        console.error("PATCH /admin/retention error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// POST /admin/retention/run (sweep now instead of waiting for the timer)
+app.post("/admin/retention/run", verifyToken, async (_req, res) => {
+    try {
+        const db = await getDb();
+        res.json({ ok: true, ...(await runRetention(db)) });
+    } catch (e) {
+        console.error("POST /admin/retention/run error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/retention/reports?reason=&limit=&skip=
+app.get("/admin/retention/reports", verifyToken, async (req, res) => {
+    try {
+        const L = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const S = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+        const filter = req.query.reason ? { reason: String(req.query.reason) } : {};
+
+        const db = await getDb();
+        const col = db.collection("purge_reports");
+        const [total, rows] = await Promise.all([
+            col.countDocuments(filter),
+            col.find(filter).sort({ createdAt: -1 }).skip(S).limit(L).toArray()
+        ]);
+        res.json({ ok: true, total, limit: L, skip: S, rows });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// ---------------------------------------------------------------------
+// Analytics (question volume, feedback, answer quality)
+// ---------------------------------------------------------------------
+// All endpoints accept ?from=&to= (ISO dates, default: last 30 days) and
+// ?bucket=hour|day|week|month; confidence also takes ?threshold= (default SITE_THRESHOLD).
+
+function analyticsRoute(report) {
+    return async (req, res) => {
+        try {
+            const { range, error } = parseRange(req.query);
+            if (error) return res.status(400).json({ error });
+            const limit = Math.min(parseInt(req.query.limit, 10) || 25, 200);
+            const db = await getDb();
+            const data = await report(db, range, { limit });
+            res.json({ ok: true, from: range.from, to: range.to, bucket: range.bucket, tz: range.tz, ...(Array.isArray(data) ? { rows: data } : data) });
+        } catch (e) {
+            console.error(`GET ${req.path} error:`, e);
+            res.status(500).json({ error: e.message || String(e) });
+        }
+    };
+}
+
+app.get("/admin/analytics", verifyToken, analyticsRoute(analyticsSummary));
+app.get("/admin/analytics/volume", verifyToken, analyticsRoute(questionVolume));
+app.get("/admin/analytics/feedback", verifyToken, analyticsRoute(feedbackRates));
+app.get("/admin/analytics/answers", verifyToken, analyticsRoute(answerKinds));
+app.get("/admin/analytics/confidence", verifyToken, analyticsRoute(confidence));
+app.get("/admin/analytics/sources", verifyToken, analyticsRoute(topSources));
+app.get("/admin/analytics/questions", verifyToken, analyticsRoute(topQuestions));
+
+// ---------------------------------------------------------------------
+// Unanswered questions (mining runs + suggested override queue)
+// ---------------------------------------------------------------------
+
+// POST /admin/unanswered/run  Body: { days = 30, threshold = SITE_THRESHOLD, minCount = 1 } -> 202 { runId }
+app.post("/admin/unanswered/run", verifyToken, async (req, res) => {
+    try {
+        const { days, threshold, minCount } = req.body || {};
+        if (threshold !== undefined && !Number.isFinite(Number(threshold))) return res.status(400).json({ error: "threshold must be a number" });
+        const db = await getDb();
+        const { run, error, runId } = await startMiningRun(db, { days, threshold, minCount }, { createdBy: req.user?.username || "admin" });
+        if (error) return res.status(409).json({ error, runId });
+        res.status(202).json({ ok: true, runId: run._id, run });
+    } catch (e) {
+        console.error("POST /admin/unanswered/run error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+app.get("/admin/unanswered/runs/:id", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+        const db = await getDb();
+        const run = await getMiningRun(db, oid);
+        if (!run) return res.status(404).json({ error: "Not found" });
+        res.json({ ok: true, run });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/unanswered?status=open|resolved|dismissed|all&limit=&skip=  (ranked by sessions asking)
+app.get("/admin/unanswered", verifyToken, async (req, res) => {
+    try {
+        const status = String(req.query.status || "open");
+        if (!["open", "resolved", "dismissed", "all"].includes(status)) return res.status(400).json({ error: "status must be open, resolved, dismissed or all" });
+        const L = Math.min(parseInt(req.query.limit, 10) || 25, 200);
+        const S = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+        const db = await getDb();
+        const { total, rows } = await listClusters(db, { status, limit: L, skip: S });
+        res.json({ ok: true, total, limit: L, skip: S, rows });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+app.get("/admin/unanswered/:id", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+        const db = await getDb();
+        const cluster = await getCluster(db, oid);
+        if (!cluster) return res.status(404).json({ error: "Not found" });
+        res.json({ ok: true, cluster });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+app.post("/admin/unanswered/:id/dismiss", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+        const db = await getDb();
+        const cluster = await dismissCluster(db, oid, req.user?.username || "admin");
+        if (!cluster) return res.status(404).json({ error: "Not found or not open" });
+        res.json({ ok: true, cluster });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// POST /admin/unanswered/:id/override  Body: { question?, answer?, force = false }
+// Creates the faq_overrides entry as a draft (defaults: representative question + draft answer)
+app.post("/admin/unanswered/:id/override", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+        const db = await getDb();
+        const { cluster, overrideId, error, status } = await resolveCluster(db, oid, req.body || {}, req.user?.username || "admin");
+        if (error) return res.status(status || 400).json({ error });
+        await clearAnswerCache(db); // cached answers may predate the override
+        res.json({ ok: true, overrideId, cluster });
+    } catch (e) {
+        console.error("POST /admin/unanswered/:id/override error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// ---------------------------------------------------------------------
+// Audit log (superadmin only)
+// ---------------------------------------------------------------------
+
+// GET /admin/audit?actor=&role=&action=&target=&status=&from=&to=&limit=&skip=
+app.get("/admin/audit", verifyToken, async (req, res) => {
+    try {
+        if (req.user.role !== "superadmin") return res.status(403).json({ error: "Not authorized" });
+        const { filter, error } = auditFilter(req.query);
+        if (error) return res.status(400).json({ error });
+        const L = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const S = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+        const db = await getDb();
+        const { total, rows } = await listAudit(db, filter, { limit: L, skip: S });
+        res.json({ ok: true, total, limit: L, skip: S, rows });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/audit.ndjson (same filters, no paging)
+app.get("/admin/audit.ndjson", verifyToken, async (req, res) => {
+    try {
+        if (req.user.role !== "superadmin") return res.status(403).json({ error: "Not authorized" });
+        const { filter, error } = auditFilter(req.query);
+        if (error) return res.status(400).json({ error });
+
+        const db = await getDb();
+        res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.ndjson"`);
+        for await (const doc of auditCursor(db, filter)) res.write(JSON.stringify(doc) + "\n");
+        res.end();
+    } catch (e) {
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: e.message || String(e) });
+    }
 });
 
 // ---------- AUTH ROUTES ----------
@@ -677,6 +979,7 @@ app.post("/admin/users", verifyToken, async (req, res) => {
         }
         const { username, password, role } = req.body;
         if (!username || !password || !role) return res.status(400).json({ error: "Missing fields" });
+        if (!USER_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${USER_ROLES.join(", ")}` });
 
         const db = await getDb();
         const existing = await db.collection("users").findOne({ username });
@@ -709,7 +1012,10 @@ app.patch("/admin/users/:username", verifyToken, async (req, res) => {
         if (password) {
             update.password = await bcrypt.hash(password, 10);
         }
-        if (role) update.role = role;
+        if (role) {
+            if (!USER_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${USER_ROLES.join(", ")}` });
+            update.role = role;
+        }
         if (Object.keys(update).length === 0)
             return res.status(400).json({ error: "Nothing to update" });
 
@@ -736,16 +1042,19 @@ app.delete("/admin/users/:username", verifyToken, async (req, res) => {
 
 
 
-// GET /admin/overrides
+// GET /admin/overrides?q=&status=draft|pending|published|expired
 app.get("/admin/overrides", verifyToken, async (req, res) => {
     try {
         const db = await getDb();
         const q = (req.query.q || "").trim();
+        const status = String(req.query.status || "");
+        if (status && !OVERRIDE_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${OVERRIDE_STATUSES.join(", ")}` });
         const filter = {};
         if (q) filter.$text = { $search: q };
+        if (status) filter.status = status;
         const out = await db.collection("faq_overrides")
             .find(filter)
-            .project({ question: 1, normQuestion: 1, answer: 1, assistantContent: 1, force: 1, reviewer: 1, updatedAt: 1, createdAt: 1, sid: 1 })
+            .project({ question: 1, normQuestion: 1, answer: 1, assistantContent: 1, force: 1, status: 1, validFrom: 1, validUntil: 1, submittedBy: 1, approvedBy: 1, reviewer: 1, revision: 1, updatedAt: 1, createdAt: 1, sid: 1 })
             .sort({ updatedAt: -1 })
             .limit(500)
             .toArray();
@@ -756,6 +1065,58 @@ app.get("/admin/overrides", verifyToken, async (req, res) => {
     }
 });
 
+// GET /admin/overrides/export?format=csv|json&status=
+app.get("/admin/overrides/export", verifyToken, async (req, res) => {
+    try {
+        const format = String(req.query.format || "json").toLowerCase();
+        if (!["csv", "json"].includes(format)) return res.status(400).json({ error: "format must be csv or json" });
+        const status = req.query.status ? String(req.query.status) : null;
+        if (status && !OVERRIDE_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${OVERRIDE_STATUSES.join(", ")}` });
+
+        const db = await getDb();
+        const rows = (await exportOverrides(db, { status })).map(({ _id, ...r }) => r);
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.setHeader("Content-Disposition", `attachment; filename="overrides-${stamp}.${format}"`);
+        if (format === "csv") {
+            res.setHeader("Content-Type", "text/csv; charset=utf-8");
+            return res.send(toCsv(rows, TRANSFER_COLUMNS));
+        }
+        res.json(rows);
+    } catch (e) {
+        console.error("GET /admin/overrides/export error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// POST /admin/overrides/import?dryRun=1&reembed=1
+// Body: CSV (Content-Type: text/csv, header row with question,answer[,force,validFrom,validUntil])
+//       or JSON: [{ question, answer, force, validFrom, validUntil }, ...] / { rows: [...] }
+// Upserts by normalized question as drafts -> { dryRun, counts, rows: [{ row, question, action, id, error }] }
+app.post("/admin/overrides/import", verifyToken, express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), async (req, res) => {
+    try {
+        let rows;
+        if (typeof req.body === "string") {
+            try { rows = parseCsv(req.body); } catch (err) { return res.status(400).json({ error: `Invalid CSV: ${err.message}` }); }
+        } else {
+            rows = Array.isArray(req.body) ? req.body : req.body?.rows;
+        }
+        if (!Array.isArray(rows) || !rows.length) return res.status(400).json({ error: "No rows to import" });
+
+        const flag = (v) => /^(1|true|yes)$/i.test(String(v ?? ""));
+        const dryRun = flag(req.query.dryRun ?? req.body?.dryRun);
+        const reembed = flag(req.query.reembed ?? req.body?.reembed);
+
+        const db = await getDb();
+        const out = await importOverrides(db, rows, { dryRun, reembed, author: req.user?.username || "admin" });
+        if (out.error) return res.status(400).json({ error: out.error });
+        if (!dryRun && (out.counts.created || out.counts.updated)) await clearAnswerCache(db);
+        res.json({ ok: true, ...out });
+    } catch (e) {
+        console.error("POST /admin/overrides/import error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
 // GET /admin/override/:id
 app.get("/admin/override/:id", verifyToken, async (req, res) => {
     try {
@@ -775,46 +1136,37 @@ app.get("/admin/override/:id", verifyToken, async (req, res) => {
     }
 });
 
-// POST /admin/override (create/upsert by normQuestion)
+// POST /admin/override (create/upsert by normQuestion; saved as a draft)
+// Body: { question, answer, force, validFrom?, validUntil?, assistantContent?, reviewer?, sid? }
 app.post("/admin/override", verifyToken, async (req, res) => {
     try {
         const { question, answer, assistantContent = null, force = false, reviewer = null, sid = null } = req.body || {};
         if (!question || !answer) return res.status(400).json({ error: "Missing question or answer" });
+        const { window, error } = parseValidityWindow(req.body);
+        if (error) return res.status(400).json({ error });
 
         const db = await getDb();
-        const clean = question.trim();
-        const norm = clean.toLowerCase();
-        const now = new Date();
-
-        let questionEmbedding = null;
-        try { questionEmbedding = await embed(norm); } catch (err) { /* continue without embedding */ }
-
-        const setDoc = {
-            question: clean,
-            normQuestion: norm,
+        const { doc, revision } = await upsertOverride(db, {
+            question,
             answer,
             assistantContent: assistantContent || null,
-            reviewer: reviewer || req.adminUser || "admin",
+            reviewer: reviewer || req.user?.username || "admin",
             force: !!force,
             sid: sid || null,
-            updatedAt: now,
-            ...(questionEmbedding ? { questionEmbedding } : {})
-        };
-
-        await db.collection("faq_overrides").updateOne(
-            { normQuestion: norm },
-            { $set: setDoc, $setOnInsert: { createdAt: now } },
-            { upsert: true }
-        );
+            validFrom: null,
+            validUntil: null,
+            ...window
+        }, { author: req.user?.username || "admin" });
+        await clearAnswerCache(db);
 
-        res.json({ ok: true });
+        res.json({ ok: true, id: doc._id, status: doc.status, revision: revision.rev });
     } catch (e) {
         console.error("POST /admin/override error:", e);
         res.status(500).json({ error: e.message || String(e) });
     }
 });
 
-// PATCH /admin/override/:id
+// PATCH /admin/override/:id (content changes send a pending/published override back to draft)
 app.patch("/admin/override/:id", verifyToken, async (req, res) => {
     try {
         const id = req.params.id;
@@ -827,29 +1179,25 @@ app.patch("/admin/override/:id", verifyToken, async (req, res) => {
         const db = await getDb();
 
         const set = {};
-        if (typeof question === "string" && question.trim()) {
-            set.question = question.trim();
-            set.normQuestion = question.trim().toLowerCase();
-        }
+        if (typeof question === "string" && question.trim()) set.question = question;
         if (typeof answer === "string") set.answer = answer;
         if (typeof assistantContent === "string") set.assistantContent = assistantContent;
         if (typeof force !== "undefined") set.force = !!force;
         if (typeof reviewer !== "undefined") set.reviewer = reviewer;
         if (typeof sid !== "undefined") set.sid = sid;
-        if (!Object.keys(set).length) return res.status(400).json({ error: "Nothing to update" });
-
-        if (set.normQuestion) {
-            try {
-                const emb = await embed(set.normQuestion);
-                if (Array.isArray(emb) && emb.length) set.questionEmbedding = emb;
-            } catch (err) { /* ignore embedding failure */ }
+        if (req.body?.validFrom !== undefined || req.body?.validUntil !== undefined) {
+            const current = await db.collection("faq_overrides").findOne({ _id: oid }, { projection: { validFrom: 1, validUntil: 1 } });
+            const { window, error } = parseValidityWindow(req.body, current || {});
+            if (error) return res.status(400).json({ error });
+            Object.assign(set, window);
         }
+        if (!Object.keys(set).length) return res.status(400).json({ error: "Nothing to update" });
 
-        set.updatedAt = new Date();
-        await db.collection("faq_overrides").updateOne({ _id: oid }, { $set: set });
+        const saved = await updateOverride(db, oid, set, { author: req.user?.username || "admin" });
+        if (!saved) return res.status(404).json({ error: "Not found" });
+        await clearAnswerCache(db);
 
-        const doc = await db.collection("faq_overrides").findOne({ _id: oid });
-        res.json({ ok: true, doc });
+        res.json({ ok: true, doc: saved.doc, revision: saved.revision.rev });
     } catch (e) {
         console.error("PATCH /admin/override/:id error:", e);
         res.status(500).json({ error: e.message || String(e) });
@@ -866,13 +1214,84 @@ app.delete("/admin/override/:id", verifyToken, async (req, res) => {
         if (!oid) return res.status(400).json({ error: "Invalid id" });
 
         const db = await getDb();
-        const r = await db.collection("faq_overrides").deleteOne({ _id: oid });
-        res.json({ ok: true, deleted: r.deletedCount || 0 });
+        const deleted = await deleteOverride(db, oid, { author: req.user?.username || "admin" });
+        await clearAnswerCache(db);
+        res.json({ ok: true, deleted });
     } catch (e) {
         console.error("DELETE /admin/override/:id error:", e);
         res.status(500).json({ error: e.message || String(e) });
     }
 });
+
+// POST /admin/override/:id/submit | approve | reject | unpublish   Body (reject): { note }
+// approve/reject/unpublish need an approver; the approver can't be the submitter.
+app.post("/admin/override/:id/:action(submit|approve|reject|unpublish)", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+
+        const db = await getDb();
+        const { doc, revision, error, status } = await transitionOverride(db, oid, req.params.action, req.user, { note: req.body?.note || null });
+        if (error) return res.status(status || 400).json({ error });
+        await clearAnswerCache(db); // publishing or unpublishing changes what /ask can return
+
+        res.json({ ok: true, doc, revision: revision.rev });
+    } catch (e) {
+        console.error(`POST /admin/override/:id/${req.params.action} error:`, e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/override/:id/revisions (newest first; also works for deleted overrides)
+app.get("/admin/override/:id/revisions", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+
+        const db = await getDb();
+        const rows = await listRevisions(db, oid);
+        if (!rows.length) return res.status(404).json({ error: "Not found" });
+        res.json({ ok: true, rows });
+    } catch (e) {
+        console.error("GET /admin/override/:id/revisions error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/override/:id/revisions/:rev
+app.get("/admin/override/:id/revisions/:rev", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        const rev = parseInt(req.params.rev, 10);
+        if (!oid || !Number.isInteger(rev)) return res.status(400).json({ error: "Invalid id or revision" });
+
+        const db = await getDb();
+        const revision = await getRevision(db, oid, rev);
+        if (!revision) return res.status(404).json({ error: "Not found" });
+        res.json({ ok: true, revision });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// POST /admin/override/:id/revisions/:rev/restore (make that revision live again)
+app.post("/admin/override/:id/revisions/:rev/restore", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        const rev = parseInt(req.params.rev, 10);
+        if (!oid || !Number.isInteger(rev)) return res.status(400).json({ error: "Invalid id or revision" });
+
+        const db = await getDb();
+        const { doc, revision, error, status } = await restoreRevision(db, oid, rev, { author: req.user?.username || "admin" });
+        if (error) return res.status(status || 400).json({ error });
+        await clearAnswerCache(db);
+
+        res.json({ ok: true, doc, revision: revision.rev });
+    } catch (e) {
+        console.error("POST /admin/override/:id/revisions/:rev/restore error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
 // POST /admin/compare-models
 // Body: { q: "question text", models: ["gpt-4o-mini","gpt-4o","gpt-3.5-turbo"] }
 app.post("/admin/compare-models", verifyToken, async (req, res) => {
@@ -894,43 +1313,8 @@ app.post("/admin/compare-models", verifyToken, async (req, res) => {
         // call all models concurrently (map to promises)
         const calls = models.map(async (model) => {
             try {
-                const resp = await axios.post(
-                    "https://api.openai.com/v1/responses",
-                    {
-                        model,
-                        input: messages,
-                        temperature: 0.2,
-                        max_output_tokens: 500
-                    },
-                    {
-                        headers: {
-                            "Content-Type": "application/json",
-                            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
-                        }
-                    }
-                );
-
-                // extract textual answer
-                let answer = "";
-                if (resp.data.output_text) answer = resp.data.output_text;
-                else if (Array.isArray(resp.data.output)) {
-                    answer = resp.data.output.map(o => {
-                        if (Array.isArray(o.content)) return o.content.map(c => c.text ?? "").join("");
-                        if (o.content && typeof o.content === "string") return o.content;
-                        return "";
-                    }).join("\n");
-                } else if (resp.data.choices && resp.data.choices[0]?.message?.content) {
-                    answer = resp.data.choices[0].message.content;
-                }
-
-                // attempt to gather sources if any were returned in metadata (best-effort)
-                let sources = [];
-                // some of your flows attach 'sources' field — try to parse
-                if (resp.data?.metadata?.sources && Array.isArray(resp.data.metadata.sources)) {
-                    sources = resp.data.metadata.sources;
-                }
-
-                return { model, answer: (answer || "").trim(), sources, ts: new Date().toISOString() };
+                const answer = await getProvider().chat({ model, messages, temperature: 0.2, maxTokens: 500 });
+                return { model, answer: (answer || "").trim(), sources: [], ts: new Date().toISOString() };
             } catch (err) {
                 console.error("compare-models call failed for", model, err?.response?.data || err.message || err);
                 return { model, answer: `Error: ${err?.response?.data?.error?.message || err.message || String(err)}`, sources: [], ts: new Date().toISOString() };
@@ -945,6 +1329,263 @@ app.post("/admin/compare-models", verifyToken, async (req, res) => {
     }
 });
 
+// ---------------------------------------------------------------------
+// Query rules (synonyms, keyword boosts, URL include/boost rules)
+// ---------------------------------------------------------------------
+
+// GET /admin/query-rules?type=synonym|keyword|url
+app.get("/admin/query-rules", verifyToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const filter = {};
+        if (req.query.type) {
+            if (!RULE_TYPES.includes(req.query.type)) return res.status(400).json({ error: `type must be one of ${RULE_TYPES.join(", ")}` });
+            filter.type = req.query.type;
+        }
+        const rows = await db.collection("query_rules").find(filter).sort({ type: 1, createdAt: 1 }).toArray();
+        res.json({ ok: true, rows });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// POST /admin/query-rules
+// Body: { type: "synonym", term, expansions } | { type: "keyword", keyword, boost, fallback }
+//     | { type: "url", match, urlPattern, action: "include"|"boost", boost }  (+ enabled, note)
+app.post("/admin/query-rules", verifyToken, async (req, res) => {
+    try {
+        const { rule, error } = validateRule(req.body || {});
+        if (error) return res.status(400).json({ error });
+
+        const db = await getDb();
+        const now = new Date();
+        const doc = { ...rule, createdBy: req.user?.username || "admin", createdAt: now, updatedAt: now };
+        const { insertedId } = await db.collection("query_rules").insertOne(doc);
+        clearQueryRulesCache();
+        res.json({ ok: true, rule: { _id: insertedId, ...doc } });
+    } catch (e) {
+        console.error("POST /admin/query-rules error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// PATCH /admin/query-rules/:id
+app.patch("/admin/query-rules/:id", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+
+        const db = await getDb();
+        const existing = await db.collection("query_rules").findOne({ _id: oid });
+        if (!existing) return res.status(404).json({ error: "Not found" });
+
+        // validate against the merged rule so type-specific fields stay consistent
+        const body = req.body || {};
+        const { error } = validateRule({ ...existing, ...body });
+        if (error) return res.status(400).json({ error });
+        const { rule } = validateRule(body, { partial: true });
+        if (!Object.keys(rule).length) return res.status(400).json({ error: "Nothing to update" });
+
+        await db.collection("query_rules").updateOne({ _id: oid }, { $set: { ...rule, updatedBy: req.user?.username || "admin", updatedAt: new Date() } });
+        clearQueryRulesCache();
+        res.json({ ok: true, rule: await db.collection("query_rules").findOne({ _id: oid }) });
+    } catch (e) {
+        console.error("PATCH /admin/query-rules/:id error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// DELETE /admin/query-rules/:id
+app.delete("/admin/query-rules/:id", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+
+        const db = await getDb();
+        const r = await db.collection("query_rules").deleteOne({ _id: oid });
+        clearQueryRulesCache();
+        res.json({ ok: true, deleted: r.deletedCount || 0 });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// ---------------------------------------------------------------------
+// Rate limits (public endpoints)
+// ---------------------------------------------------------------------
+
+// GET /admin/rate-limits -> { config, defaults }
+app.get("/admin/rate-limits", verifyToken, async (_req, res) => {
+    try {
+        const db = await getDb();
+        res.json({ ok: true, config: await getRateLimitConfig(db), defaults: DEFAULT_LIMITS });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// PATCH /admin/rate-limits
+// Body: { enabled, exemptIps: [...], limits: { ask: { ipPerMinute, sidPerMinute, ipPerDay, sidPerDay }, ... } }
+app.patch("/admin/rate-limits", verifyToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const { config, error } = await updateRateLimitConfig(db, req.body || {}, req.user?.username || "admin");
+        if (error) return res.status(400).json({ error });
+        res.json({ ok: true, config });
+    } catch (e) {
+        console.error("PATCH /admin/rate-limits error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/rate-limits/throttled?route=ask&limit=200 (clients over a limit right now)
+app.get("/admin/rate-limits/throttled", verifyToken, async (req, res) => {
+    try {
+        const route = req.query.route || null;
+        if (route && !RATE_ROUTES.includes(route)) return res.status(400).json({ error: `route must be one of ${RATE_ROUTES.join(", ")}` });
+        const L = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+
+        const db = await getDb();
+        const rows = await listThrottled(db, { route, limit: L });
+        res.json({ ok: true, rows });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// ---------------------------------------------------------------------
+// Guardrails (question screening)
+// ---------------------------------------------------------------------
+
+// GET /admin/guard -> { config }
+app.get("/admin/guard", verifyToken, async (_req, res) => {
+    try {
+        const db = await getDb();
+        res.json({ ok: true, config: await getGuardConfig(db) });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// PATCH /admin/guard
+// Body: { mode: "off"|"heuristic"|"llm", categories: { off_topic: false }, responses: { injection: "..." } }
+app.patch("/admin/guard", verifyToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const { config, error } = await updateGuardConfig(db, req.body || {}, req.user?.username || "admin");
+        if (error) return res.status(400).json({ error });
+        res.json({ ok: true, config });
+    } catch (e) {
+        console.error("PATCH /admin/guard error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/guard/blocked?category=&from=&to=&limit=&skip=
+// Blocked questions (tagged user turns), newest first: { sid, mid, ts, question, category, by, reason }
+app.get("/admin/guard/blocked", verifyToken, async (req, res) => {
+    try {
+        const { category = "", from = "", to = "", limit = "50", skip = "0" } = req.query;
+        if (category && !GUARD_CATEGORIES.includes(category)) return res.status(400).json({ error: `category must be one of ${GUARD_CATEGORIES.join(", ")}` });
+        const L = Math.min(parseInt(limit, 10) || 50, 500);
+        const S = Math.max(parseInt(skip, 10) || 0, 0);
+
+        const turn = { "history.role": "user", "history.blocked.category": category || { $exists: true } };
+        if (from || to) {
+            turn["history.ts"] = {};
+            if (from) turn["history.ts"].$gte = new Date(from);
+            if (to) turn["history.ts"].$lte = new Date(to);
+        }
+
+        const db = await getDb();
+        const rows = await db.collection("sessions").aggregate([
+            { $match: { "history.blocked.category": category || { $exists: true } } },
+            { $project: { sid: 1, history: 1 } },
+            { $unwind: "$history" },
+            { $match: turn },
+            { $sort: { "history.ts": -1 } },
+            { $skip: S },
+            { $limit: L },
+            { $project: { _id: 0, sid: 1, mid: "$history.mid", ts: "$history.ts", question: "$history.content", category: "$history.blocked.category", by: "$history.blocked.by", reason: "$history.blocked.reason" } }
+        ]).toArray();
+        res.json({ ok: true, limit: L, skip: S, rows });
+    } catch (e) {
+        console.error("GET /admin/guard/blocked error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// ---------------------------------------------------------------------
+// Evaluation (golden question sets)
+// ---------------------------------------------------------------------
+
+// POST /admin/eval
+// Body: { jsonl: "<golden set>" | items: [{ question, expectedUrls, expectedFacts }],
+//         k, grade: false|"llm"|"contains", rerank: "none"|"local"|"llm", normalize, name, params: { MIN_SIM, SITE_THRESHOLD, ... } }
+app.post("/admin/eval", verifyToken, async (req, res) => {
+    try {
+        const { jsonl, items: rawItems, k, grade = false, rerank, normalize = true, name = null, params = {} } = req.body || {};
+        const items = typeof jsonl === "string"
+            ? parseGoldenSet(jsonl)
+            : parseGoldenSet((Array.isArray(rawItems) ? rawItems : []).map(i => JSON.stringify(i)).join("\n"));
+        if (!items.length) return res.status(400).json({ error: "Missing golden set (jsonl or items)" });
+        if (grade && !["llm", "contains"].includes(grade)) return res.status(400).json({ error: "grade must be llm or contains" });
+        if (rerank && !RERANKERS.includes(rerank)) return res.status(400).json({ error: `rerank must be one of ${RERANKERS.join(", ")}` });
+
+        // only numeric overrides of known decision constants
+        const safeParams = {};
+        for (const key of Object.keys(DEFAULTS)) {
+            if (params[key] !== undefined && Number.isFinite(Number(params[key]))) safeParams[key] = Number(params[key]);
+        }
+
+        const db = await getDb();
+        const run = await runEval(db, items, { k, grade, rerank, normalize, name, params: safeParams, source: req.user?.username || "api" });
+        res.json({ ok: true, run });
+    } catch (e) {
+        console.error("POST /admin/eval error:", e);
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/eval/runs (summaries, newest first)
+app.get("/admin/eval/runs", verifyToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const L = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const rows = await db.collection("eval_runs")
+            .find({})
+            .project({ results: 0 })
+            .sort({ startedAt: -1 })
+            .limit(L)
+            .toArray();
+        res.json({ ok: true, rows });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
+// GET /admin/eval/runs/:id?compare=<otherRunId>
+app.get("/admin/eval/runs/:id", verifyToken, async (req, res) => {
+    try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).json({ error: "Invalid id" });
+
+        const db = await getDb();
+        const run = await db.collection("eval_runs").findOne({ _id: oid });
+        if (!run) return res.status(404).json({ error: "Not found" });
+
+        let delta = null;
+        const otherId = toObjectId(req.query.compare);
+        if (otherId) {
+            const other = await db.collection("eval_runs").findOne({ _id: otherId }, { projection: { results: 0 } });
+            if (other) delta = { against: otherId, metrics: compareRuns(other, run) };
+        }
+        res.json({ ok: true, run, delta });
+    } catch (e) {
+        res.status(500).json({ error: e.message || String(e) });
+    }
+});
+
 // ---------------------------------------------------------------------
 const PORT = process.env.PORT || 8790;
 app.listen(PORT, () => console.log(`API on http://localhost:${PORT}`));
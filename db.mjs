@@ -22,6 +22,24 @@ export async function getDb() {
 
         await db.collection("faq_overrides").createIndex({ question: "text" });
         await db.collection("faq_overrides").createIndex({ createdAt: -1 });
+        await db.collection("faq_overrides").createIndex({ status: 1, validUntil: 1 });
+        await db.collection("faq_override_revisions").createIndex({ overrideId: 1, rev: -1 }, { unique: true });
+        await db.collection("faq_override_revisions").createIndex({ "snapshot.sid": 1 });
+
+        await db.collection("index_jobs").createIndex({ createdAt: -1 });
+        await db.collection("purged_pages").createIndex({ purgedAt: -1 });
+        await db.collection("query_rules").createIndex({ type: 1, createdAt: 1 });
+        await db.collection("answer_cache").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await db.collection("answer_cache").createIndex({ citedUrls: 1 });
+        await db.collection("answer_cache").createIndex({ createdAt: -1 });
+        await db.collection("rate_counters").createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 });
+        await db.collection("rate_counters").createIndex({ blocked: 1, lastBlockedAt: -1 });
+        await db.collection("purge_reports").createIndex({ createdAt: -1 });
+        await db.collection("unanswered_clusters").createIndex({ status: 1, sessions: -1, count: -1 });
+        await db.collection("unanswered_runs").createIndex({ createdAt: -1 });
+        await db.collection("audit_log").createIndex({ createdAt: -1 });
+        await db.collection("audit_log").createIndex({ actor: 1, createdAt: -1 });
+        await db.collection("audit_log").createIndex({ action: 1, createdAt: -1 });
 
 
     }
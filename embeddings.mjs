@@ -1,14 +1,13 @@
 // server/embeddings.mjs
-import OpenAI from "openai";
-
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { getProvider } from "./providers.mjs";
 
 export async function embed(text) {
-    const r = await client.embeddings.create({
-        model: "text-embedding-3-small",
-        input: text
-    });
-    return r.data[0].embedding;
+    return getProvider().embed(text);
+}
+
+// Embeds many texts per provider call; results are in input order
+export async function embedBatch(texts) {
+    return texts.length ? getProvider().embedBatch(texts) : [];
 }
 
 export function cosine(a, b) {
@@ -0,0 +1,202 @@
+// server/eval.mjs
+// Offline retrieval/answer evaluation against a golden question set.
+//
+// Golden set: JSONL, one item per line:
+//   { "question": "...", "expectedUrls": ["https://law.temple.edu/..."], "expectedFacts": ["..."] }
+// expectedFacts is optional and only used when answers are graded.
+//
+// Each run is stored in `eval_runs` (params + metrics + per-question results)
+// so runs can be compared after changing thresholds, synonyms or chunking.
+//
+// CLI: node eval.mjs <golden.jsonl> [--k=12] [--grade=llm|contains] [--rerank=none|local|llm] [--no-normalize] [--name=label]
+import dotenv from "dotenv"; dotenv.config();
+import fs from "fs/promises";
+import { getDb } from "./db.mjs";
+import { getProvider } from "./providers.mjs";
+import { DEFAULTS, condenseQuery, retrieve, findOverride, isForcedOverride, reviewedChunk, buildMessages } from "./retrieval.mjs";
+import { DEFAULT_RERANKER } from "./rerank.mjs";
+
+// ---------- golden set ----------
+export function parseGoldenSet(jsonl) {
+    const items = [];
+    const lines = String(jsonl || "").split(/\r?\n/);
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        let row;
+        try { row = JSON.parse(line); } catch { throw new Error(`Golden set line ${i + 1}: invalid JSON`); }
+        if (!row.question) throw new Error(`Golden set line ${i + 1}: missing question`);
+        items.push({
+            question: String(row.question).trim(),
+            expectedUrls: Array.isArray(row.expectedUrls) ? row.expectedUrls : [],
+            expectedFacts: Array.isArray(row.expectedFacts) ? row.expectedFacts : []
+        });
+    });
+    return items;
+}
+
+export async function loadGoldenSet(path) {
+    return parseGoldenSet(await fs.readFile(path, "utf8"));
+}
+
+// ---------- metrics helpers ----------
+// compare URLs loosely: ignore hash, query, trailing slash and host case
+export function normalizeUrl(u) {
+    try {
+        const x = new URL(u);
+        return `${x.protocol}//${x.host.toLowerCase()}${x.pathname.replace(/\/+$/, "")}`;
+    } catch {
+        return String(u || "").replace(/[#?].*$/, "").replace(/\/+$/, "");
+    }
+}
+
+function scoreRetrieval(rankedUrls, expectedUrls, k) {
+    const expected = new Set(expectedUrls.map(normalizeUrl));
+    if (!expected.size) return { recall: null, rr: null, firstHitRank: null };
+    const found = new Set();
+    let firstHitRank = null;
+    rankedUrls.forEach((u, i) => {
+        if (!expected.has(u)) return;
+        if (firstHitRank === null) firstHitRank = i + 1;
+        if (i < k) found.add(u);
+    });
+    return { recall: found.size / expected.size, rr: firstHitRank ? 1 / firstHitRank : 0, firstHitRank };
+}
+
+async function gradeAnswer(answer, facts, mode) {
+    if (!facts.length) return null;
+    const results = [];
+    for (const fact of facts) {
+        let ok = answer.toLowerCase().includes(String(fact).toLowerCase());
+        if (!ok && mode === "llm") {
+            const verdict = await getProvider().chat({
+                messages: [
+                    { role: "system", content: "You grade chatbot answers. Reply with exactly YES if the answer states the fact (paraphrasing is fine), otherwise NO." },
+                    { role: "user", content: `Fact: ${fact}\n\nAnswer: ${answer}` }
+                ],
+                temperature: 0
+            });
+            ok = /^\s*yes\b/i.test(verdict || "");
+        }
+        results.push({ fact, ok });
+    }
+    return { score: results.filter(r => r.ok).length / results.length, facts: results };
+}
+
+const mean = (xs) => {
+    const v = xs.filter(x => typeof x === "number");
+    return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+};
+
+// ---------- run ----------
+// opts: { k, normalize = true, grade: false | "llm" | "contains", rerank, name, params: { MIN_SIM, ... } }
+export async function runEval(db, items, opts = {}) {
+    const params = { ...DEFAULTS, ...(opts.params || {}), rerank: opts.rerank || DEFAULT_RERANKER };
+    const k = Number(opts.k) || params.TOP_K;
+    const normalize = opts.normalize !== false;
+    const grade = opts.grade || false;
+    const startedAt = new Date();
+
+    const results = [];
+    for (const item of items) {
+        try {
+            const normalizedQuery = normalize ? await condenseQuery(item.question) : item.question;
+            const { qvec, ranked, top, topScore } = await retrieve(db, normalizedQuery, params);
+            const match = await findOverride(db, item.question.toLowerCase(), qvec, { ...params, minSim: Math.min(params.OVERRIDE_EMB_THRESHOLD, params.REVIEWED_CONTEXT_THRESHOLD) });
+            const forced = isForcedOverride(match, params);
+            const reviewed = forced ? null : reviewedChunk(match, params);
+
+            // unique URLs in rank order
+            const rankedUrls = [...new Set(ranked.map(r => normalizeUrl(r.url)))];
+            const { recall, rr, firstHitRank } = scoreRetrieval(rankedUrls, item.expectedUrls, k);
+
+            const row = {
+                question: item.question,
+                normalizedQuery,
+                expectedUrls: item.expectedUrls,
+                retrievedUrls: rankedUrls.slice(0, k),
+                topScore,
+                recall,
+                rr,
+                firstHitRank,
+                override: match ? { match: match.match, sim: match.sim, forced, reviewedContext: !!reviewed, question: match.doc.question } : null
+            };
+
+            if (grade && item.expectedFacts.length) {
+                const answer = forced
+                    ? (match.doc.answer ?? match.doc.assistantContent ?? "")
+                    : await getProvider().chat({ messages: buildMessages(normalizedQuery, reviewed ? [reviewed, ...top] : top), temperature: 0.2, maxTokens: 500 });
+                row.answer = answer;
+                row.grade = await gradeAnswer(answer || "", item.expectedFacts, grade);
+            }
+            results.push(row);
+        } catch (err) {
+            results.push({ question: item.question, error: err.message || String(err) });
+        }
+    }
+
+    const ok = results.filter(r => !r.error);
+    const metrics = {
+        questions: items.length,
+        errors: results.length - ok.length,
+        [`recall@${k}`]: mean(ok.map(r => r.recall)),
+        mrr: mean(ok.map(r => r.rr)),
+        overrideHitRate: ok.length ? ok.filter(r => r.override).length / ok.length : null,
+        lowConfidenceRate: ok.length ? ok.filter(r => r.topScore < params.SITE_THRESHOLD).length / ok.length : null,
+        ...(grade ? { answerScore: mean(ok.map(r => r.grade?.score)) } : {})
+    };
+
+    const run = {
+        name: opts.name || null,
+        source: opts.source || null,
+        startedAt,
+        finishedAt: new Date(),
+        k,
+        normalize,
+        grade,
+        params,
+        metrics,
+        results
+    };
+    const { insertedId } = await db.collection("eval_runs").insertOne(run);
+    return { _id: insertedId, ...run };
+}
+
+// metric deltas between two stored runs (b - a)
+export function compareRuns(a, b) {
+    const out = {};
+    for (const key of Object.keys(b?.metrics || {})) {
+        const x = a?.metrics?.[key], y = b.metrics[key];
+        if (typeof x === "number" && typeof y === "number") out[key] = y - x;
+    }
+    return out;
+}
+
+// ---------- CLI: node eval.mjs <golden.jsonl> ----------
+if (process.argv[1].endsWith("eval.mjs")) {
+    const args = process.argv.slice(2);
+    const file = args.find(a => !a.startsWith("--"));
+    const flag = (name) => args.find(a => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+    if (!file) {
+        console.error("Usage: node eval.mjs <golden.jsonl> [--k=12] [--grade=llm|contains] [--rerank=none|local|llm] [--no-normalize] [--name=label]");
+        process.exit(1);
+    }
+
+    const db = await getDb();
+    const items = await loadGoldenSet(file);
+    console.log(`Evaluating ${items.length} questions from ${file}…`);
+
+    const previous = await db.collection("eval_runs").find({}).sort({ startedAt: -1 }).limit(1).next();
+    const run = await runEval(db, items, {
+        k: flag("k"),
+        grade: flag("grade") || false,
+        rerank: flag("rerank"),
+        normalize: !args.includes("--no-normalize"),
+        name: flag("name"),
+        source: file
+    });
+
+    console.log("Run:", run._id.toString());
+    console.table(run.metrics);
+    if (previous) console.log("Δ vs previous run", previous._id.toString(), compareRuns(previous, run));
+    process.exit(0);
+}
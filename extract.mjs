@@ -1,17 +1,175 @@
 import * as cheerio from "cheerio";
 import crypto from "crypto";
+import fs from "fs";
+import { PDFParse } from "pdf-parse";
+import dotenv from "dotenv"; dotenv.config();
 
-export function extractCore(html) {
+// ---------- site profiles (boilerplate removal) ----------
+// `content`: selectors tried in order for the main content root.
+// `remove`:  selectors stripped before extraction (nav, footers, sidebars…).
+// Extra/overriding profiles can be supplied as JSON via EXTRACT_CONFIG=<path>:
+//   { "law.temple.edu": { "content": ["#main"], "remove": [".news-ticker"] } }
+const DEFAULT_PROFILE = {
+    content: ["main", "[role=main]", "article", "#content", "body"],
+    remove: [
+        "script", "style", "noscript", "template", "svg", "iframe", "form",
+        "header", "footer", "nav", "aside",
+        "[role=navigation]", "[role=banner]", "[role=contentinfo]", "[role=search]", "[aria-hidden=true]",
+        ".breadcrumb", ".breadcrumbs", ".skip-link", ".screen-reader-text", ".sr-only",
+        ".sidebar", ".widget", ".menu", ".share", ".social", ".cookie", ".cookie-notice"
+    ]
+};
+
+const SITE_PROFILES = {
+    "law.temple.edu": {
+        content: ["main", "#main", ".entry-content", "article", "body"],
+        remove: [".site-header", ".site-footer", ".sub-nav", ".section-nav", ".related-posts", ".post-navigation", ".alert-bar"]
+    },
+    ...loadProfileOverrides()
+};
+
+function loadProfileOverrides() {
+    const file = process.env.EXTRACT_CONFIG;
+    if (!file) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        console.warn("EXTRACT_CONFIG unreadable, using built-in profiles:", err.message || err);
+        return {};
+    }
+}
+
+export function profileFor(url) {
+    let host = "";
+    try { host = new URL(url).hostname.replace(/^www\./, ""); } catch { /* no url */ }
+    const site = SITE_PROFILES[host] || {};
+    return {
+        content: site.content || DEFAULT_PROFILE.content,
+        remove: [...DEFAULT_PROFILE.remove, ...(site.remove || [])]
+    };
+}
+
+// ---------- structure-aware extraction ----------
+const HEADINGS = { h1: 1, h2: 2, h3: 3 };
+const BLOCKS = new Set(["p", "pre", "blockquote", "dt", "dd", "figcaption", "address", "h4", "h5", "h6"]);
+const INLINE = new Set(["a", "span", "strong", "em", "b", "i", "u", "small", "abbr", "code", "sup", "sub", "mark", "time", "cite", "q", "label"]);
+const SKIP = new Set(["script", "style", "noscript", "img", "br", "hr", "button", "input", "select"]);
+
+const clean = (s) => String(s || "").replace(/\s+/g, " ").trim();
+
+// Returns { title, text, sections: [{ headingPath: string[], blocks: string[] }] }.
+// Sections follow h1/h2/h3; list items, table rows and paragraphs become blocks.
+export function extractSections(html, url = "") {
     const $ = cheerio.load(html);
-    $("script,style,noscript").remove();
-    const title = $("title").first().text().trim();
-    const h1 = $("h1").first().text().trim();
-    const main = $("main").text().trim() || $("body").text().trim();
+    const profile = profileFor(url);
+    const title = clean($("title").first().text());
+    const h1 = clean($("h1").first().text()); // before boilerplate removal; it often sits in a header
+
+    $(profile.remove.join(",")).remove();
+    let root = null;
+    for (const sel of profile.content) {
+        const el = $(sel).first();
+        if (el.length && clean(el.text())) { root = el; break; }
+    }
+
+    const sections = [];
+    // seeded with the page heading so h2/h3 paths read "Page › Section"
+    const stack = [h1 || title].filter(Boolean);
+    let current = { headingPath: [...stack], blocks: [] };
+    const push = (text) => { if (text) current.blocks.push(text); };
+
+    const walk = (node) => {
+        let inline = "";
+        const flushInline = () => { push(clean(inline)); inline = ""; };
+
+        for (const child of node.children || []) {
+            if (child.type === "text") { inline += child.data; continue; }
+            if (child.type !== "tag") continue;
+            const tag = child.name.toLowerCase();
+            if (SKIP.has(tag)) { if (tag === "br") inline += " "; continue; }
+            if (INLINE.has(tag)) { inline += $(child).text(); continue; }
+            flushInline();
+
+            if (HEADINGS[tag]) {
+                const text = clean($(child).text());
+                if (!text) continue;
+                if (current.blocks.length) sections.push(current);
+                const level = HEADINGS[tag];
+                stack.length = level - 1;
+                stack[level - 1] = text;
+                current = { headingPath: stack.filter(Boolean), blocks: [] };
+            } else if (tag === "li") {
+                push(`• ${clean($(child).text())}`);
+            } else if (tag === "tr") {
+                const cells = $(child).children("th,td").map((_, c) => clean($(c).text())).get().filter(Boolean);
+                push(cells.join(" | "));
+            } else if (BLOCKS.has(tag)) {
+                push(clean($(child).text()));
+            } else {
+                walk(child);
+            }
+        }
+        flushInline();
+    };
+    if (root) walk(root.get(0));
+    if (current.blocks.length) sections.push(current);
+
     const header = [title, h1].filter(Boolean).join(" — ");
-    const text = `${header ? header + "\n\n" : ""}${main}`.replace(/\s+/g, " ").trim();
-    return { text, title: title || h1 || "" };
+    const body = sections.map(s => s.blocks.join(" ")).join(" ");
+    const text = clean(`${header ? header + "\n\n" : ""}${body}`);
+    return { text, title: title || h1 || "", sections };
 }
 
+// Same-host links to PDF documents found anywhere on the page (before
+// boilerplate removal, since handbooks are often linked from sidebars).
+export function findPdfLinks(html, url) {
+    const $ = cheerio.load(html);
+    let host = "";
+    try { host = new URL(url).host; } catch { return []; }
+    const out = new Set();
+    $("a[href]").each((_, a) => {
+        try {
+            const x = new URL($(a).attr("href"), url);
+            x.hash = "";
+            if (x.host === host && /\.pdf$/i.test(x.pathname)) out.add(x.href);
+        } catch { /* bad href */ }
+    });
+    return [...out];
+}
+
+export function extractCore(html, url = "") {
+    const { text, title } = extractSections(html, url);
+    return { text, title };
+}
+
+// ---------- PDF extraction ----------
+// One section per page so every chunk keeps its page number. Paragraphs are
+// split on blank lines; the title comes from the PDF metadata or file name.
+export async function extractPdf(buffer, url = "") {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+        // one request at a time: concurrent calls on a single parser fail in pdf.js
+        const result = await parser.getText();
+        const info = await parser.getInfo().catch(() => null);
+        const fileName = decodeURIComponent((url.split(/[?#]/)[0].split("/").pop() || "").trim());
+        const title = clean(info?.info?.Title) || fileName;
+
+        const sections = [];
+        for (const p of result.pages || []) {
+            const blocks = String(p.text || "")
+                .split(/\n\s*\n/)
+                .map(clean)
+                .filter(Boolean);
+            if (blocks.length) sections.push({ headingPath: title ? [title] : [], page: p.num, blocks });
+        }
+        const text = clean(sections.map(s => s.blocks.join(" ")).join(" "));
+        return { text, title, sections };
+    } finally {
+        await parser.destroy().catch(() => { });
+    }
+}
+
+// ---------- chunking ----------
 export function chunkText(s, max = 2000, overlap = 250) {
     const out = []; const step = Math.max(1, max - overlap);
     for (let i = 0; i < s.length; i += step) {
@@ -21,6 +179,39 @@ export function chunkText(s, max = 2000, overlap = 250) {
     return out;
 }
 
+export const HEADING_SEP = " › ";
+
+// One or more chunks per section, packed block by block (a list item or
+// paragraph is never split unless it alone exceeds `max`). Every chunk starts
+// with its heading path so the embedding carries the section context.
+// Returns [{ text, headingPath, page? }] (page only for PDF sections).
+export function chunkSections(sections, max = 2000, overlap = 250) {
+    const out = [];
+    for (const s of sections) {
+        const headingPath = s.headingPath.join(HEADING_SEP);
+        const prefix = headingPath ? `${headingPath}\n\n` : "";
+        const room = Math.max(200, max - prefix.length);
+        const meta = s.page ? { headingPath, page: s.page } : { headingPath };
+
+        let buf = "";
+        const flush = () => {
+            if (buf.trim()) out.push({ text: prefix + buf.trim(), ...meta });
+            buf = "";
+        };
+        for (const block of s.blocks) {
+            if (block.length > room) {
+                flush();
+                for (const piece of chunkText(block, room, overlap)) out.push({ text: prefix + piece, ...meta });
+                continue;
+            }
+            if (buf.length + block.length + 1 > room) flush();
+            buf += (buf ? "\n" : "") + block;
+        }
+        flush();
+    }
+    return out;
+}
+
 export function sha256Hex(s) {
     return crypto.createHash("sha256").update(s).digest("hex");
 }
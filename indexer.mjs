@@ -1,8 +1,11 @@
 import dotenv from "dotenv"; dotenv.config();
 import axios from "axios";
 import { getDb } from "./db.mjs";
-import { extractCore, chunkText, sha256Hex } from "./extract.mjs";
+import { extractSections, extractPdf, findPdfLinks, chunkSections, sha256Hex } from "./extract.mjs";
 import { embed } from "./embeddings.mjs";
+import { addChunksToIndex, removeUrlFromIndex, flushVectorIndex } from "./vectorIndex.mjs";
+import { invalidateAnswersForUrls } from "./answerCache.mjs";
+import { createIndexJob, runIndexJob } from "./jobs.mjs";
 import { XMLParser } from "fast-xml-parser";
 import pLimit from "p-limit";
 import { ObjectId } from "mongodb";
@@ -10,8 +13,17 @@ import { ObjectId } from "mongodb";
 // ---------- collect URLs from sitemap index ----------
 // ---------- collect URLs from sitemap index (no deprecated deps) ----------
 export async function collectFromSitemap(rootUrl, limit = 5000) {
-    const urls = new Set();
+    return (await collectSitemapEntries(rootUrl, limit)).entries.map(e => e.url);
+}
+
+// Same walk, but keeps each URL's <lastmod> (null when the sitemap omits it).
+// Returns { entries: [{ url, lastmod }], failures: [{ sitemap, error }] };
+// a sitemap that couldn't be fetched or parsed leaves its URLs out, so callers
+// must not treat the entries as the whole site when `failures` is non-empty.
+export async function collectSitemapEntries(rootUrl, limit = 5000) {
+    const urls = new Map(); // url -> lastmod
     const seen = new Set();
+    const failures = [];
     const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "" });
 
     async function fetchText(u) {
@@ -28,9 +40,9 @@ export async function collectFromSitemap(rootUrl, limit = 5000) {
         if (seen.has(smUrl) || urls.size >= limit) return;
         seen.add(smUrl);
 
-        let xml; try { xml = await fetchText(smUrl); } catch { return; }
-        let doc;
-        try { doc = parser.parse(xml); } catch { return; }
+        let xml, doc;
+        try { xml = await fetchText(smUrl); } catch (err) { return fail(smUrl, "fetch", err); }
+        try { doc = parser.parse(xml); } catch (err) { return fail(smUrl, "parse", err); }
 
         // Handle both sitemapindex and urlset (namespaced or not)
         const si = doc.sitemapindex || doc["sitemapindex"];
@@ -45,7 +57,7 @@ export async function collectFromSitemap(rootUrl, limit = 5000) {
                 if (loc.endsWith(".xml") || loc.includes(".xml?")) {
                     await walk(loc);
                 } else {
-                    urls.add(normalize(loc));
+                    urls.set(normalize(loc), lastmodOf(it));
                 }
             }
             return;
@@ -57,7 +69,7 @@ export async function collectFromSitemap(rootUrl, limit = 5000) {
                 const loc = (it.loc || "").trim();
                 if (!loc) continue;
                 if (urls.size >= limit) break;
-                urls.add(normalize(loc));
+                urls.set(normalize(loc), lastmodOf(it));
             }
         }
     }
@@ -67,92 +79,309 @@ export async function collectFromSitemap(rootUrl, limit = 5000) {
         catch { return u; }
     };
 
+    const lastmodOf = (it) => (it.lastmod ? String(it.lastmod).trim() : null);
+
+    const fail = (sitemap, step, err) => {
+        const error = `${step} failed: ${err?.message || err}`;
+        console.warn(`Sitemap ${sitemap}: ${error}`);
+        failures.push({ sitemap, error });
+    };
+
     await walk(rootUrl);
-    return [...urls];
+    return { entries: [...urls].map(([url, lastmod]) => ({ url, lastmod })), failures };
 }
 
 
+// ---------- URLs never worth indexing ----------
+export const DEFAULT_DENY = [
+    /\/wp-admin/i, /\/wp-json/i, /\/feed/i,
+    /\.jpg$/i, /\.jpeg$/i, /\.png$/i, /\.gif$/i, /\.svg$/i,
+    /\.docx?$/i, /\.xlsx?$/i, /\.pptx?$/i, /\.zip$/i,
+    /twitter\.com/i, /facebook\.com/i, /linkedin\.com/i
+];
+
 // ---------- index one URL ----------
-async function indexUrl(db, url, deny = []) {
+// safety valve for runaway pages (long pages are otherwise indexed in full)
+const MAX_CHUNKS_PER_PAGE = Number(process.env.MAX_CHUNKS_PER_PAGE) || 300;
+const MAX_PDF_BYTES = Number(process.env.MAX_PDF_BYTES) || 25 * 1024 * 1024;
+
+// HTML pages and PDFs. HTML results include `pdfs`: same-site PDF links found
+// on the page, so crawls can pick up documents the sitemap doesn't list.
+//
+// Re-crawls avoid work where they can: if the sitemap <lastmod> matches the
+// one stored on the page, nothing is fetched (fetchAvoided: "lastmod");
+// otherwise the request carries If-None-Match / If-Modified-Since from the
+// previous fetch and a 304 ends it early (fetchAvoided: "304").
+// opts: { lastmod, force } – force ignores both shortcuts.
+async function indexUrl(db, url, deny = [], { lastmod = null, force = false } = {}) {
     if (deny.some(rx => rx.test(url))) return { url, skipped: true, reason: "deny" };
 
-    let html;
+    const pages = db.collection("pages");
+    const chunksCol = db.collection("chunks");
+    const prior = await pages.findOne({ url });
+
+    if (!force && prior?.hash && lastmod && prior.lastmod === lastmod) {
+        await pages.updateOne({ _id: prior._id }, { $set: { checkedAt: new Date() } });
+        return { url, status: "unchanged", chunks: 0, fetchAvoided: "lastmod", pdfs: prior.pdfLinks || [] };
+    }
+
+    const conditional = {};
+    if (!force && prior?.hash) {
+        if (prior.etag) conditional["If-None-Match"] = prior.etag;
+        if (prior.lastModified) conditional["If-Modified-Since"] = prior.lastModified;
+    }
+
+    let body, type, etag, lastModified;
     try {
-        const r = await axios.get(url, { timeout: 20000, headers: { "User-Agent": "Temple-Law-Indexer" } });
-        if (!/^text\/html/i.test(r.headers["content-type"] || "")) return { url, skipped: true, reason: "not-html" };
-        html = r.data;
+        const r = await axios.get(url, {
+            timeout: 30000,
+            responseType: "arraybuffer",
+            maxContentLength: MAX_PDF_BYTES,
+            headers: { "User-Agent": "Temple-Law-Indexer", ...conditional },
+            validateStatus: s => (s >= 200 && s < 300) || (s === 304 && !!prior?.hash)
+        });
+        if (r.status === 304) {
+            await pages.updateOne({ _id: prior._id }, { $set: { checkedAt: new Date(), ...(lastmod ? { lastmod } : {}) } });
+            return { url, status: "unchanged", chunks: 0, fetchAvoided: "304", pdfs: prior.pdfLinks || [] };
+        }
+        etag = r.headers["etag"] || null;
+        lastModified = r.headers["last-modified"] || null;
+        const contentType = r.headers["content-type"] || "";
+        if (/^text\/html/i.test(contentType)) type = "html";
+        else if (/^application\/pdf/i.test(contentType) || /\.pdf$/i.test(new URL(url).pathname)) type = "pdf";
+        else return { url, skipped: true, reason: "unsupported-type" };
+        body = Buffer.from(r.data);
     } catch (e) {
+        // 404/410 feed page reconciliation (see reconcilePages)
+        if ([404, 410].includes(e.response?.status)) return { url, status: "gone", httpStatus: e.response.status };
         return { url, error: String(e.message || e) };
     }
 
-    const { text, title } = extractCore(html);
-    if (!text || text.length < 80) return { url, skipped: true, reason: "too-short" };
+    let extracted, pdfs = [];
+    try {
+        if (type === "pdf") {
+            extracted = await extractPdf(body, url);
+        } else {
+            const html = body.toString("utf8");
+            extracted = extractSections(html, url);
+            pdfs = findPdfLinks(html, url);
+        }
+    } catch (e) {
+        return { url, error: `extract failed: ${e.message || e}` };
+    }
+
+    const { text, title, sections } = extracted;
+    if (!text || text.length < 80) return { url, skipped: true, reason: "too-short", pdfs };
 
     const hash = sha256Hex(text);
-    const pages = db.collection("pages");
-    const chunksCol = db.collection("chunks");
+    // freshness info for the next crawl
+    const fetchMeta = { lastmod, etag, lastModified, pdfLinks: pdfs, checkedAt: new Date() };
 
-    const prior = await pages.findOne({ url });
     if (prior && prior.hash === hash) {
-        await pages.updateOne({ _id: prior._id }, { $set: { updatedAt: new Date() } });
-        return { url, status: "unchanged", chunks: 0 };
+        await pages.updateOne({ _id: prior._id }, { $set: { updatedAt: new Date(), ...fetchMeta } });
+        return { url, status: "unchanged", chunks: 0, pdfs };
+    }
+
+    let chunks = chunkSections(sections, 2000, 250);
+    if (chunks.length > MAX_CHUNKS_PER_PAGE) {
+        console.warn(`${url}: ${chunks.length} chunks, keeping the first ${MAX_CHUNKS_PER_PAGE}`);
+        chunks = chunks.slice(0, MAX_CHUNKS_PER_PAGE);
+    }
+
+    // embed before touching the stored chunks: a provider error (rate limit,
+    // outage) fails this URL only and leaves its previous version searchable
+    const embeddings = [];
+    try {
+        for (const c of chunks) embeddings.push(await embed(c.text));
+    } catch (e) {
+        return { url, error: `embed failed: ${e.message || e}`, pdfs };
     }
 
-    // delete old chunks for this url
+    // delete old chunks for this url (and cached answers built from them)
     await chunksCol.deleteMany({ url });
+    await removeUrlFromIndex(db, url);
+    if (prior) await invalidateAnswersForUrls(db, [url]);
 
-    const chunks = chunkText(text, 2000, 250).slice(0, 6);
-    let added = 0;
+    const inserted = [];
     for (let i = 0; i < chunks.length; i++) {
-        const e = await embed(chunks[i]);
-        await chunksCol.insertOne({
+        const e = embeddings[i];
+        const doc = {
             url,
-            text: chunks[i],
+            title,
+            headingPath: chunks[i].headingPath,
+            ...(chunks[i].page ? { page: chunks[i].page } : {}),
+            text: chunks[i].text,
             idx: i,
             embedding: e
-        });
-        added++;
+        };
+        const r = await chunksCol.insertOne(doc);
+        inserted.push({ _id: r.insertedId, url, embedding: e });
     }
+    const added = inserted.length;
+    await addChunksToIndex(db, inserted);
 
     await pages.updateOne(
         { url },
-        { $set: { url, title, hash, updatedAt: new Date() } },
+        { $set: { url, title, type, hash, updatedAt: new Date(), ...fetchMeta } },
         { upsert: true }
     );
 
-    return { url, status: prior ? "updated" : "added", chunks: added };
+    return { url, status: prior ? "updated" : "added", chunks: added, pdfs };
 }
 
-// ---------- CLI: node indexer.mjs <sitemapUrl> ----------
+// ---------- index a URL list (plus the PDFs its pages link to) ----------
+// `entries` are URLs or { url, lastmod } (as returned by collectSitemapEntries).
+// onResult(r, totals) is called for every URL; isCancelled() is polled before
+// each URL starts and stops the run early (totals.cancelled). Up to
+// `concurrency` URLs are fetched at once. With `reconcile`, a run
+// that finishes compares `pages` against the URLs it saw (totals.reconcile)
+// and records how many there were (totals.present); fewer than `minPresent`
+// skips the comparison instead, since a sudden drop is more likely a broken
+// sitemap than half the site disappearing.
+// Resolves with the totals.
+export async function indexAll(db, entries, { deny = DEFAULT_DENY, force = false, reconcile = false, minPresent = 0, concurrency = 1, onResult = () => { }, isCancelled = () => false } = {}) {
+    const totals = { total: 0, added: 0, updated: 0, unchanged: 0, skipped: 0, errors: 0, gone: 0, pdfs: 0, fetchesAvoided: 0, notModified: 0 };
+    const queue = entries.map(e => (typeof e === "string" ? { url: e, lastmod: null } : e));
+    const seen = new Set(queue.map(e => e.url));
+    const gone = new Set();
+    const pdfQueue = [];
+    const size = Math.max(1, concurrency);
+    const limit = pLimit(size);
+    const inFlight = new Set();
+
+    const handle = async ({ url: u, lastmod }) => {
+        const r = await indexUrl(db, u, deny, { lastmod, force });
+        totals.total++;
+        if (r.status === "added") totals.added++;
+        else if (r.status === "updated") totals.updated++;
+        else if (r.status === "unchanged") totals.unchanged++;
+        else if (r.status === "gone") { totals.gone++; gone.add(u); }
+        else if (r.skipped) totals.skipped++;
+        else if (r.error) totals.errors++;
+        if (r.fetchAvoided === "lastmod") totals.fetchesAvoided++;
+        else if (r.fetchAvoided === "304") totals.notModified++;
+
+        for (const pdf of r.pdfs || []) {
+            if (seen.has(pdf)) continue;
+            seen.add(pdf);
+            pdfQueue.push({ url: pdf, lastmod: null });
+            totals.pdfs++;
+        }
+        await onResult(r, totals);
+    };
+
+    // PDFs are only discovered as pages finish, so keep feeding the pool until
+    // both queues are empty and nothing is still running
+    try {
+        while (queue.length || pdfQueue.length || inFlight.size) {
+            if ((!queue.length && !pdfQueue.length) || inFlight.size >= size) {
+                await Promise.race(inFlight);
+                continue;
+            }
+            if (isCancelled()) { totals.cancelled = true; break; }
+            // dequeue now: p-limit starts the task later, after the loop re-checks the queues
+            const entry = queue.length ? queue.shift() : pdfQueue.shift();
+            const task = limit(() => handle(entry))
+                .finally(() => inFlight.delete(task));
+            inFlight.add(task);
+        }
+        await Promise.all(inFlight);
+    } catch (err) {
+        await Promise.allSettled(inFlight); // let the other URLs finish before failing the run
+        throw err;
+    }
+
+    if (reconcile && !totals.cancelled) {
+        const present = new Set([...seen].filter(u => !gone.has(u)));
+        totals.present = present.size;
+        totals.reconcile = present.size < minPresent
+            ? { skipped: `only ${present.size} URLs present, expected at least ${minPresent}` }
+            : await reconcilePages(db, present);
+    }
+    return totals;
+}
+
+// ---------- reconcile pages against the latest crawl ----------
+// Pages the crawl didn't see (or that returned 404/410) get missingRuns + 1.
+// After TOMBSTONE_AFTER_RUNS misses a page is tombstoned: its chunks stay in
+// Mongo but are flagged and dropped from retrieval. After PURGE_AFTER_RUNS the
+// page and its chunks are deleted and recorded in `purged_pages`. Pages that
+// show up again are reset (and revived if they were tombstoned).
+const TOMBSTONE_AFTER_RUNS = Number(process.env.TOMBSTONE_AFTER_RUNS) || 2;
+const PURGE_AFTER_RUNS = Math.max(TOMBSTONE_AFTER_RUNS, Number(process.env.PURGE_AFTER_RUNS) || 4);
+
+export async function reconcilePages(db, presentUrls) {
+    const pages = db.collection("pages");
+    const chunksCol = db.collection("chunks");
+    const now = new Date();
+    const present = [...presentUrls];
+    const out = { missing: 0, tombstoned: 0, purged: 0, revived: 0 };
+
+    // back again: revive tombstoned pages, reset counters
+    const revived = await pages.find({ url: { $in: present }, tombstonedAt: { $ne: null } }).project({ url: 1 }).toArray();
+    for (const p of revived) {
+        await chunksCol.updateMany({ url: p.url }, { $unset: { tombstoned: "" } });
+        const chunks = await chunksCol.find({ url: p.url }).project({ url: 1, embedding: 1 }).toArray();
+        await addChunksToIndex(db, chunks.filter(c => Array.isArray(c.embedding)));
+        out.revived++;
+    }
+    await pages.updateMany(
+        { url: { $in: present }, $or: [{ missingRuns: { $gt: 0 } }, { tombstonedAt: { $ne: null } }] },
+        { $set: { missingRuns: 0, tombstonedAt: null } }
+    );
+
+    // missing this run
+    const missing = await pages.find({ url: { $nin: present } }).project({ url: 1, title: 1, missingRuns: 1, tombstonedAt: 1 }).toArray();
+    for (const p of missing) {
+        const runs = (p.missingRuns || 0) + 1;
+        out.missing++;
+
+        if (runs >= PURGE_AFTER_RUNS) {
+            await chunksCol.deleteMany({ url: p.url });
+            await removeUrlFromIndex(db, p.url);
+            await invalidateAnswersForUrls(db, [p.url]);
+            await pages.deleteOne({ _id: p._id });
+            await db.collection("purged_pages").insertOne({
+                url: p.url,
+                title: p.title || "",
+                missingRuns: runs,
+                tombstonedAt: p.tombstonedAt || null,
+                purgedAt: now
+            });
+            out.purged++;
+            continue;
+        }
+
+        const set = { missingRuns: runs, lastMissingAt: now };
+        if (runs >= TOMBSTONE_AFTER_RUNS && !p.tombstonedAt) {
+            set.tombstonedAt = now;
+            await chunksCol.updateMany({ url: p.url }, { $set: { tombstoned: true } });
+            await removeUrlFromIndex(db, p.url);
+            await invalidateAnswersForUrls(db, [p.url]);
+            out.tombstoned++;
+        }
+        await pages.updateOne({ _id: p._id }, { $set: set });
+    }
+
+    console.log("Reconciled pages:", out);
+    return out;
+}
+
+// ---------- CLI: node indexer.mjs <sitemapUrl> [--force] ----------
 if (process.argv[1].endsWith("indexer.mjs")) {
-    const sitemap = process.argv[2] || "https://law.temple.edu/sitemap_index.xml";
+    const sitemap = process.argv.slice(2).find(a => !a.startsWith("--")) || "https://law.temple.edu/sitemap_index.xml";
     const db = await getDb();
 
-    const deny = [
-        /\/wp-admin/i, /\/wp-json/i, /\/feed/i,
-        /\.pdf$/i, /\.jpg$/i, /\.jpeg$/i, /\.png$/i, /\.gif$/i, /\.svg$/i,
-        /twitter\.com/i, /facebook\.com/i, /linkedin\.com/i
-    ];
-
-    console.log("Collecting URLs from sitemap…");
-    const urls = await collectFromSitemap(sitemap, 8000);
-    console.log("Candidates:", urls.length);
-
-    const limit = pLimit(3); // parallelism
-    let done = 0, added = 0, updated = 0, unchanged = 0;
-    for (const u of urls) {
-        await limit(async () => {
-            const r = await indexUrl(db, u, deny);
-            if (r.status === "added") added++;
-            else if (r.status === "updated") updated++;
-            else if (r.status === "unchanged") unchanged++;
-            done++;
-            if (done % 20 === 0) console.log(`Indexed ${done}/${urls.length}`);
-        });
-    }
-    await limit.clearQueue();
+    const force = process.argv.includes("--force");
+
+    // recorded in index_jobs like API-triggered crawls
+    const job = await createIndexJob(db, { sitemap, max: 8000, force, concurrency: 3 }, { createdBy: process.env.USER || null, origin: "cli" });
+    console.log("Index job:", job._id.toString());
+    await runIndexJob(db, job._id);
 
-    console.log({ added, updated, unchanged, total: urls.length });
+    const done = await db.collection("index_jobs").findOne({ _id: job._id });
+    console.log(done.status, done.counts);
+    await flushVectorIndex();
     process.exit(0);
 }
 
@@ -0,0 +1,169 @@
+// server/jobs.mjs
+// Background sitemap indexing jobs.
+//
+// Every run is a document in `index_jobs`, which doubles as the crawl history:
+//   { status: "queued" | "running" | "completed" | "failed" | "cancelled" | "interrupted",
+//     params: { sitemap, max, force, concurrency }, origin: "api" | "cli", createdBy, createdAt, startedAt, finishedAt,
+//     progress: { done, total }, counts: { added, updated, unchanged, skipped, errors, ... },
+//     errors: [{ url, error }], sitemapFailures: [{ sitemap, error }], cancelRequested }
+//
+// Jobs run one at a time inside the server process; a queued job starts when
+// the previous one finishes. Cancellation is checked between URLs.
+//
+// Pages missing from the crawl are only reconciled (tombstoned/purged) when
+// every sitemap was read, the list wasn't cut off at `max`, and the present
+// set didn't shrink by more than RECONCILE_MAX_SHRINK (default 0.2) since the
+// previous complete crawl. A run skipped by that check still records
+// counts.present, so a real shrink is accepted by the next crawl that agrees.
+import { ObjectId } from "mongodb";
+import { collectSitemapEntries, indexAll } from "./indexer.mjs";
+import { flushVectorIndex } from "./vectorIndex.mjs";
+
+const MAX_ERRORS = 500;           // per-URL errors kept on the job document
+const PROGRESS_EVERY_MS = 2000;   // how often running jobs write progress
+const MAX_SHRINK = Number(process.env.RECONCILE_MAX_SHRINK) || 0.2;
+
+const cancelled = new Set();      // ids of jobs asked to stop (in this process)
+let running = null;               // id of the job currently running
+const queue = [];                 // ids waiting to run
+
+const jobs = (db) => db.collection("index_jobs");
+
+export async function createIndexJob(db, { sitemap = "https://law.temple.edu/sitemap_index.xml", max = 2000, force = false, concurrency = 1 } = {}, { createdBy = null, origin = "api" } = {}) {
+    const job = {
+        status: "queued",
+        params: { sitemap, max: Number(max) || 2000, force: !!force, concurrency: Math.max(1, parseInt(concurrency, 10) || 1) },
+        origin,
+        createdBy,
+        createdAt: new Date(),
+        startedAt: null,
+        finishedAt: null,
+        progress: { done: 0, total: 0 },
+        counts: {},
+        errors: [],
+        sitemapFailures: [],
+        cancelRequested: false
+    };
+    const { insertedId } = await jobs(db).insertOne(job);
+    return { _id: insertedId, ...job };
+}
+
+// Queue a job to run in the background (returns immediately)
+export function enqueueIndexJob(db, jobId) {
+    queue.push(String(jobId));
+    if (!running) setImmediate(() => drain(db));
+}
+
+async function drain(db) {
+    while (queue.length && !running) {
+        running = queue.shift();
+        try {
+            await runIndexJob(db, running);
+        } catch (err) {
+            console.error("Index job crashed:", running, err);
+        } finally {
+            running = null;
+        }
+    }
+}
+
+// Run a job to completion in the current process (used by the queue and the CLI)
+export async function runIndexJob(db, jobId) {
+    const _id = new ObjectId(String(jobId));
+    const job = await jobs(db).findOne({ _id });
+    if (!job) throw new Error(`Index job ${jobId} not found`);
+    if (job.cancelRequested) {
+        await jobs(db).updateOne({ _id }, { $set: { status: "cancelled", finishedAt: new Date() } });
+        return;
+    }
+
+    await jobs(db).updateOne({ _id }, { $set: { status: "running", startedAt: new Date() } });
+    const { sitemap, max, force, concurrency = 1 } = job.params;
+    const errors = [];
+    let lastWrite = 0;
+
+    const writeProgress = (totals, extra = {}) => jobs(db).updateOne({ _id }, {
+        $set: {
+            progress: { done: totals.total, total: totals.planned },
+            counts: totals,
+            errors: errors.slice(0, MAX_ERRORS),
+            ...extra
+        }
+    });
+
+    try {
+        const collected = await collectSitemapEntries(sitemap, max);
+        const entries = collected.entries.filter(e => e.url.startsWith("https://law.temple.edu/"));
+        await jobs(db).updateOne({ _id }, { $set: { "progress.total": entries.length, sitemapFailures: collected.failures } });
+
+        // a sitemap cut off at `max` or missing a child sitemap can't tell us which pages disappeared
+        const complete = entries.length < max && !collected.failures.length;
+        const previous = await jobs(db).findOne(
+            { _id: { $ne: _id }, status: "completed", "counts.present": { $gt: 0 } },
+            { sort: { finishedAt: -1 }, projection: { "counts.present": 1 } }
+        );
+        const totals = await indexAll(db, entries, {
+            force,
+            concurrency,
+            reconcile: complete,
+            minPresent: previous ? Math.ceil(previous.counts.present * (1 - MAX_SHRINK)) : 0,
+            isCancelled: () => cancelled.has(String(jobId)),
+            onResult: async (r, t) => {
+                t.planned = entries.length + t.pdfs;
+                if (r.error) errors.push({ url: r.url, error: r.error });
+                if (Date.now() - lastWrite >= PROGRESS_EVERY_MS) {
+                    lastWrite = Date.now();
+                    // pick up cancellations requested from another process
+                    const fresh = await jobs(db).findOne({ _id }, { projection: { cancelRequested: 1 } });
+                    if (fresh?.cancelRequested) cancelled.add(String(jobId));
+                    await writeProgress(t);
+                }
+            }
+        });
+        totals.planned = entries.length + totals.pdfs;
+        if (collected.failures.length) totals.reconcile = { skipped: `${collected.failures.length} sitemap(s) could not be read` };
+        else if (!complete) totals.reconcile = { skipped: `sitemap truncated at ${max} URLs` };
+
+        await writeProgress(totals, {
+            status: totals.cancelled ? "cancelled" : "completed",
+            finishedAt: new Date()
+        });
+        console.log(`Index job ${jobId} ${totals.cancelled ? "cancelled" : "completed"}:`, totals);
+    } catch (err) {
+        await jobs(db).updateOne({ _id }, {
+            $set: { status: "failed", error: err.message || String(err), errors: errors.slice(0, MAX_ERRORS), finishedAt: new Date() }
+        });
+        throw err;
+    } finally {
+        cancelled.delete(String(jobId));
+        await flushVectorIndex();
+    }
+}
+
+// Ask a queued or running job to stop. Returns the updated job or null.
+export async function cancelIndexJob(db, jobId) {
+    const _id = new ObjectId(String(jobId));
+    const job = await jobs(db).findOne({ _id });
+    if (!job) return null;
+    if (!["queued", "running"].includes(job.status)) return job;
+
+    const i = queue.indexOf(String(jobId));
+    if (i >= 0) {
+        queue.splice(i, 1);
+        await jobs(db).updateOne({ _id }, { $set: { status: "cancelled", cancelRequested: true, finishedAt: new Date() } });
+    } else {
+        cancelled.add(String(jobId));
+        await jobs(db).updateOne({ _id }, { $set: { cancelRequested: true } });
+    }
+    return jobs(db).findOne({ _id });
+}
+
+// API jobs left queued/running by a previous server process will never finish
+// (CLI jobs are left alone: their process may still be running)
+export async function recoverIndexJobs(db) {
+    const r = await jobs(db).updateMany(
+        { origin: "api", status: { $in: ["queued", "running"] } },
+        { $set: { status: "interrupted", finishedAt: new Date() } }
+    );
+    if (r.modifiedCount) console.warn(`Marked ${r.modifiedCount} unfinished index job(s) as interrupted`);
+}
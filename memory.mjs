@@ -0,0 +1,101 @@
+// server/memory.mjs
+// Token-budgeted conversation memory for /ask.
+//
+// The model sees at most MEMORY_TOKEN_BUDGET tokens of conversation:
+//   - a rolling summary of older turns, stored on the session document as
+//     summary: { text, upTo (mid of the last folded turn), turns, updatedAt }
+//   - the last MEMORY_RECENT_TURNS user/assistant turns verbatim
+// Only role + content are sent; per-turn metadata (ip, ua, sources…) never is.
+// Turns that fall out of the recent window are folded into the summary after
+// the answer is saved (updateMemory), so summarizing never delays a reply.
+import dotenv from "dotenv"; dotenv.config();
+import { getProvider } from "./providers.mjs";
+
+export const MEMORY_TOKEN_BUDGET = Number(process.env.MEMORY_TOKEN_BUDGET) || 1500;
+export const MEMORY_RECENT_TURNS = Number(process.env.MEMORY_RECENT_TURNS) || 6;
+const SUMMARY_SHARE = 1 / 3;     // at most this part of the budget goes to the summary
+const FOLD_TURN_CHARS = 1200;    // each turn is cut to this before summarizing
+
+// Rough token count (~4 characters per token for English); no tokenizer dependency
+export function estimateTokens(text) {
+    return Math.ceil(String(text || "").length / 4);
+}
+
+function truncateToTokens(text, tokens) {
+    const s = String(text || "");
+    const max = Math.max(0, tokens * 4);
+    return s.length <= max ? s : `${s.slice(0, Math.max(0, max - 1))}…`;
+}
+
+// user/assistant turns with text (drops guard-blocked turns, empty entries, etc.)
+function conversationTurns(history = []) {
+    return history.filter(h => (h.role === "user" || h.role === "assistant") && !h.blocked && typeof h.content === "string" && h.content.trim());
+}
+
+// Messages to place between the system prompt and the current question.
+// `prior` is the session history without the current question.
+export function buildMemory(session, prior, budget = MEMORY_TOKEN_BUDGET) {
+    const turns = conversationTurns(prior);
+    const messages = [];
+    let remaining = budget;
+
+    // summary only covers turns that have left the recent window
+    const summary = session?.summary?.text;
+    if (summary && turns.length > MEMORY_RECENT_TURNS) {
+        const text = `Summary of the earlier conversation: ${truncateToTokens(summary, Math.floor(budget * SUMMARY_SHARE))}`;
+        messages.push({ role: "system", content: text });
+        remaining -= estimateTokens(text);
+    }
+
+    // newest first, so the most recent turns survive when the budget is tight
+    const recent = [];
+    for (const h of turns.slice(-MEMORY_RECENT_TURNS).reverse()) {
+        if (remaining <= 0) break;
+        const cost = estimateTokens(h.content);
+        const content = cost <= remaining ? h.content : truncateToTokens(h.content, remaining);
+        recent.unshift({ role: h.role, content });
+        remaining -= estimateTokens(content);
+    }
+    return [...messages, ...recent];
+}
+
+// Fold turns that have left the recent window into the session's rolling summary.
+// Safe to call fire-and-forget; concurrent calls for one session are resolved by
+// only writing when the summary hasn't moved since it was read.
+export async function updateMemory(db, sid) {
+    const sessions = db.collection("sessions");
+    const session = await sessions.findOne({ sid }, { projection: { history: 1, summary: 1 } });
+    if (!session) return null;
+
+    const turns = conversationTurns(session.history);
+    const older = turns.slice(0, -MEMORY_RECENT_TURNS);
+    if (!older.length) return null;
+
+    const upTo = session.summary?.upTo || null;
+    const start = upTo ? older.findIndex(h => h.mid === upTo) + 1 : 0;
+    const pending = older.slice(start);
+    if (!pending.length) return null;
+
+    const transcript = pending
+        .map(h => `${h.role === "user" ? "User" : "Assistant"}: ${String(h.content).replace(/\s+/g, " ").slice(0, FOLD_TURN_CHARS)}`)
+        .join("\n");
+    const maxTokens = Math.floor(MEMORY_TOKEN_BUDGET * SUMMARY_SHARE);
+
+    const text = await getProvider().chat({
+        messages: [
+            { role: "system", content: `You maintain a running summary of a conversation between a user and the Temple Law website assistant. Merge the new turns into the current summary. Keep what the user asked, details they shared about themselves (program, year, status) and the key facts in the answers. Drop pleasantries. Stay under ${Math.floor(maxTokens * 0.75)} words. Reply with the summary only.` },
+            { role: "user", content: `Current summary:\n${session.summary?.text || "(none)"}\n\nNew turns:\n${transcript}` }
+        ],
+        temperature: 0,
+        maxTokens
+    });
+
+    const summary = {
+        text: truncateToTokens((text || "").trim(), maxTokens),
+        upTo: pending[pending.length - 1].mid,
+        turns: (session.summary?.turns || 0) + pending.length,
+        updatedAt: new Date()
+    };
+    await sessions.updateOne({ sid, "summary.upTo": upTo }, { $set: { summary } });
+    return summary;
+}
@@ -0,0 +1,417 @@
+// server/overrides.mjs
+// All writes to `faq_overrides` go through here so every change is versioned.
+//
+// Each create, update, restore, delete, lifecycle transition and expiry appends
+// an immutable revision to `faq_override_revisions`:
+//   { overrideId, rev, action: "create" | "update" | "restore" | "delete" | "submit" | "approve"
+//       | "reject" | "unpublish" | "expire", author, createdAt,
+//     snapshot: { <VERSIONED_FIELDS> }, diff: { <field>: { from, to } }, restoredFrom }
+// `rev` counts up per override; the live document carries its latest number in
+// `revision`. Restoring writes a revision's snapshot back as the live override
+// (recreating it if it was deleted) and is itself recorded as a new revision.
+//
+// Lifecycle (`status`):
+//   draft ──submit──▶ pending ──approve──▶ published ──(validUntil passes)──▶ expired
+//                        └──reject──▶ draft          published/expired ──unpublish──▶ draft
+// Approving needs an APPROVER_ROLES user other than the one who submitted.
+// Any content change (including a restore) sends the override back to draft,
+// so nothing reaches /ask without a second pair of eyes. /ask only considers
+// published overrides inside their optional validFrom/validUntil window; the
+// expiry sweep clears the answer cache whenever an override leaves or enters
+// that window, so cached answers don't outlive or shadow it.
+import { embed, embedBatch } from "./embeddings.mjs";
+import { clearAnswerCache, ANSWER_CACHE_TTL_HOURS } from "./answerCache.mjs";
+
+export const OVERRIDE_STATUSES = ["draft", "pending", "published", "expired"];
+export const APPROVER_ROLES = ["approver", "superadmin"];
+export const VERSIONED_FIELDS = ["question", "normQuestion", "answer", "force", "validFrom", "validUntil", "status", "assistantContent", "reviewer", "sid", "assistantMid", "clusterId", "submittedBy", "approvedBy"];
+const CONTENT_FIELDS = ["question", "answer", "force", "validFrom", "validUntil"];
+const EXPIRY_SWEEP_MS = 10 * 60 * 1000;
+
+// fields reset whenever an override goes back to draft
+const DRAFT_RESET = { status: "draft", submittedBy: null, submittedAt: null, approvedBy: null, approvedAt: null };
+
+const overridesCol = (db) => db.collection("faq_overrides");
+const revisionsCol = (db) => db.collection("faq_override_revisions");
+
+const pick = (doc) => Object.fromEntries(VERSIONED_FIELDS.filter(k => doc?.[k] !== undefined).map(k => [k, doc[k]]));
+
+// { field: { from, to } } for versioned fields that differ
+export function diffOverride(before, after) {
+    const diff = {};
+    for (const k of VERSIONED_FIELDS) {
+        const from = before?.[k] ?? null;
+        const to = after?.[k] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) diff[k] = { from, to };
+    }
+    return diff;
+}
+
+// Mongo filter for overrides /ask may use right now
+export function activeOverrideFilter(now = new Date()) {
+    return {
+        status: "published",
+        $and: [
+            { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+            { $or: [{ validUntil: null }, { validUntil: { $gt: now } }] }
+        ]
+    };
+}
+
+// Validate { validFrom, validUntil } from a request body (ISO dates; null clears).
+// Returns { window } with only the keys present, or { error }.
+export function parseValidityWindow(body = {}, current = {}) {
+    const window = {};
+    for (const k of ["validFrom", "validUntil"]) {
+        if (body[k] === undefined) continue;
+        if (body[k] === null || body[k] === "") {
+            window[k] = null;
+            continue;
+        }
+        const d = new Date(body[k]);
+        if (isNaN(d)) return { error: `${k} must be a date (ISO 8601) or null` };
+        window[k] = d;
+    }
+    const from = window.validFrom !== undefined ? window.validFrom : current.validFrom;
+    const until = window.validUntil !== undefined ? window.validUntil : current.validUntil;
+    if (from && until && from >= until) return { error: "validUntil must be after validFrom" };
+    return { window };
+}
+
+async function questionEmbedding(norm) {
+    try {
+        const emb = await embed(norm);
+        return Array.isArray(emb) && emb.length ? emb : null;
+    } catch (err) {
+        console.warn("Question embedding failed (proceeding without embedding):", err.message || err);
+        return null;
+    }
+}
+
+async function recordRevision(db, { before, after, action, author, restoredFrom = null }) {
+    const revision = {
+        overrideId: (after || before)._id,
+        rev: action === "delete" ? (before.revision || 0) + 1 : after.revision,
+        action,
+        author: author || null,
+        createdAt: new Date(),
+        snapshot: pick(after || before),
+        diff: diffOverride(before, after),
+        ...(restoredFrom ? { restoredFrom } : {})
+    };
+    await revisionsCol(db).insertOne(revision);
+    return revision;
+}
+
+// Create or replace the override for `question` (matched by normalized question,
+// as /review always has) as a draft. `fields` may hold any of CONTENT_FIELDS and
+// the reviewer/session links. Returns { doc, revision }.
+export async function upsertOverride(db, { question, ...fields }, { author = null, embedding } = {}) {
+    const clean = String(question).trim();
+    const norm = clean.toLowerCase();
+    const now = new Date();
+    // callers that embed in bulk pass `embedding` (null = keep whatever is stored)
+    const emb = embedding !== undefined ? embedding : await questionEmbedding(norm);
+
+    const before = await overridesCol(db).findOne({ normQuestion: norm });
+    const doc = await overridesCol(db).findOneAndUpdate(
+        { normQuestion: norm },
+        {
+            $set: { ...fields, question: clean, normQuestion: norm, ...DRAFT_RESET, updatedAt: now, ...(emb ? { questionEmbedding: emb } : {}) },
+            $setOnInsert: { createdAt: now },
+            $inc: { revision: 1 }
+        },
+        { upsert: true, returnDocument: "after" }
+    );
+    const revision = await recordRevision(db, { before, after: doc, action: before ? "update" : "create", author });
+    return { doc, revision };
+}
+
+// Partial update by id. `set` holds already-validated fields; the question
+// embedding is refreshed when the question changes and content changes reset
+// the override to draft.
+// Returns { doc, revision }, or null when the override doesn't exist.
+export async function updateOverride(db, _id, set, { author = null } = {}) {
+    const before = await overridesCol(db).findOne({ _id });
+    if (!before) return null;
+
+    const update = { ...set, updatedAt: new Date() };
+    if (CONTENT_FIELDS.some(k => k in set) && before.status !== "draft") Object.assign(update, DRAFT_RESET);
+    if (typeof set.question === "string") {
+        update.question = set.question.trim();
+        update.normQuestion = update.question.toLowerCase();
+        if (update.normQuestion !== before.normQuestion) {
+            const emb = await questionEmbedding(update.normQuestion);
+            if (emb) update.questionEmbedding = emb;
+        }
+    }
+    const doc = await overridesCol(db).findOneAndUpdate(
+        { _id },
+        { $set: update, $inc: { revision: 1 } },
+        { returnDocument: "after" }
+    );
+    if (!doc) return null;
+    const revision = await recordRevision(db, { before, after: doc, action: "update", author });
+    return { doc, revision };
+}
+
+// Returns the number of overrides deleted (0 or 1)
+export async function deleteOverride(db, _id, { author = null } = {}) {
+    const before = await overridesCol(db).findOneAndDelete({ _id });
+    if (!before) return 0;
+    await recordRevision(db, { before, after: null, action: "delete", author });
+    return 1;
+}
+
+export async function listRevisions(db, overrideId) {
+    return revisionsCol(db).find({ overrideId }).sort({ rev: -1 }).toArray();
+}
+
+export async function getRevision(db, overrideId, rev) {
+    return revisionsCol(db).findOne({ overrideId, rev });
+}
+
+// Bring back revision `rev`'s content as a draft. Returns { doc, revision } or { error }.
+export async function restoreRevision(db, overrideId, rev, { author = null } = {}) {
+    const target = await getRevision(db, overrideId, rev);
+    if (!target) return { error: "Revision not found", status: 404 };
+    if (target.action === "delete") return { error: "Cannot restore a delete revision; restore the one before it", status: 400 };
+
+    const before = await overridesCol(db).findOne({ _id: overrideId });
+    const now = new Date();
+    const snapshot = { ...Object.fromEntries(VERSIONED_FIELDS.map(k => [k, null])), ...target.snapshot, ...DRAFT_RESET };
+    const emb = before?.normQuestion === snapshot.normQuestion && before?.questionEmbedding
+        ? null
+        : await questionEmbedding(snapshot.normQuestion);
+
+    // deleted overrides continue their revision numbering
+    const last = before ? null : await revisionsCol(db).findOne({ overrideId }, { sort: { rev: -1 } });
+    const doc = await overridesCol(db).findOneAndUpdate(
+        { _id: overrideId },
+        {
+            $set: { ...snapshot, updatedAt: now, ...(emb ? { questionEmbedding: emb } : {}) },
+            $setOnInsert: { createdAt: now },
+            $inc: { revision: before ? 1 : (last?.rev || 0) + 1 }
+        },
+        { upsert: true, returnDocument: "after" }
+    );
+    const revision = await recordRevision(db, { before, after: doc, action: "restore", author, restoredFrom: rev });
+    return { doc, revision };
+}
+
+// ---------- lifecycle ----------
+const TRANSITIONS = {
+    submit: { from: ["draft"], to: "pending" },
+    approve: { from: ["pending"], to: "published", approver: true },
+    reject: { from: ["pending"], to: "draft", approver: true },
+    unpublish: { from: ["published", "expired"], to: "draft", approver: true }
+};
+export const OVERRIDE_ACTIONS = Object.keys(TRANSITIONS);
+
+// Move an override through the lifecycle. `user` is req.user ({ username, role }).
+// Returns { doc, revision } or { error, status }.
+export async function transitionOverride(db, _id, action, user, { note = null } = {}) {
+    const t = TRANSITIONS[action];
+    if (!t) return { error: `Unknown action "${action}" (expected ${OVERRIDE_ACTIONS.join(", ")})`, status: 400 };
+    if (t.approver && !APPROVER_ROLES.includes(user?.role)) return { error: `Only ${APPROVER_ROLES.join(" or ")} users can ${action} overrides`, status: 403 };
+
+    const before = await overridesCol(db).findOne({ _id });
+    if (!before) return { error: "Not found", status: 404 };
+    if (!t.from.includes(before.status)) return { error: `Cannot ${action} an override that is ${before.status}`, status: 409 };
+
+    const now = new Date();
+    let set;
+    if (action === "submit") {
+        set = { status: t.to, submittedBy: user?.username || null, submittedAt: now };
+    } else if (action === "approve") {
+        if (before.submittedBy && before.submittedBy === user?.username) return { error: "An override must be approved by someone other than its submitter", status: 403 };
+        if (before.validUntil && before.validUntil <= now) return { error: "validUntil has already passed; edit the window first", status: 409 };
+        set = { status: t.to, approvedBy: user?.username || null, approvedAt: now };
+    } else {
+        set = { ...DRAFT_RESET, ...(action === "reject" ? { rejectedBy: user?.username || null, rejectedAt: now, rejectionNote: note } : {}) };
+    }
+
+    // conditional on the status we checked, so two approvers can't race
+    const doc = await overridesCol(db).findOneAndUpdate(
+        { _id, status: before.status },
+        { $set: { ...set, updatedAt: now }, $inc: { revision: 1 } },
+        { returnDocument: "after" }
+    );
+    if (!doc) return { error: "Override changed meanwhile; reload and retry", status: 409 };
+    const revision = await recordRevision(db, { before, after: doc, action, author: user?.username || null });
+    return { doc, revision };
+}
+
+// Mark published overrides whose validUntil has passed as expired
+export async function expireOverrides(db) {
+    const now = new Date();
+    const due = await overridesCol(db).find({ status: "published", validUntil: { $lte: now } }).toArray();
+    for (const before of due) {
+        const doc = await overridesCol(db).findOneAndUpdate(
+            { _id: before._id, status: "published" },
+            { $set: { status: "expired", updatedAt: now }, $inc: { revision: 1 } },
+            { returnDocument: "after" }
+        );
+        if (doc) await recordRevision(db, { before, after: doc, action: "expire", author: "system" });
+    }
+    if (due.length) {
+        await clearAnswerCache(db);
+        console.log(`Overrides: ${due.length} expired`);
+    }
+    return due.length;
+}
+
+// Published overrides whose validFrom fell in (since, now] just became usable;
+// answers cached before then would keep shadowing them. The first sweep after
+// startup looks back one cache TTL, the oldest a cached answer can be.
+let activatedSince = null;
+
+export async function activateOverrides(db) {
+    const now = new Date();
+    const since = activatedSince || new Date(now.getTime() - ANSWER_CACHE_TTL_HOURS * 3600 * 1000);
+    const n = await overridesCol(db).countDocuments({ status: "published", validFrom: { $gt: since, $lte: now } });
+    activatedSince = now;
+    if (n) {
+        await clearAnswerCache(db);
+        console.log(`Overrides: ${n} became active`);
+    }
+    return n;
+}
+
+// Overrides created before the lifecycle existed were live, so they start out published
+export async function backfillOverrideStatus(db) {
+    const r = await overridesCol(db).updateMany({ status: { $exists: false } }, { $set: { status: "published" } });
+    if (r.modifiedCount) console.log(`Overrides: marked ${r.modifiedCount} legacy override(s) published`);
+}
+
+// Backfill, then expire/activate overrides now and every 10 minutes (timer doesn't keep the process alive)
+export function startOverrideExpiry(db) {
+    const sweep = () => expireOverrides(db)
+        .then(() => activateOverrides(db))
+        .catch(err => console.error("Override expiry failed:", err));
+    backfillOverrideStatus(db).catch(err => console.error("Override status backfill failed:", err)).then(sweep);
+    setInterval(sweep, EXPIRY_SWEEP_MS).unref();
+}
+
+// ---------- bulk import / export ----------
+export const TRANSFER_COLUMNS = ["question", "answer", "force", "validFrom", "validUntil", "status", "reviewer", "updatedAt"];
+const IMPORT_MAX_ROWS = 5000;
+const EMBED_BATCH = 100;
+
+const TRUE_VALUES = /^(true|yes|y|1|x)$/i;
+const FALSE_VALUES = /^(false|no|n|0|)$/i;
+
+// Rows for export (oldest first so re-importing keeps the original order)
+export async function exportOverrides(db, { status = null } = {}) {
+    return overridesCol(db)
+        .find(status ? { status } : {})
+        .project(Object.fromEntries(TRANSFER_COLUMNS.map(c => [c, 1])))
+        .sort({ createdAt: 1 })
+        .toArray();
+}
+
+// Validate one imported row. Returns { value } or { error }.
+function validateImportRow(row) {
+    const question = String(row.question ?? "").trim();
+    const answer = String(row.answer ?? "").trim();
+    if (!question) return { error: "Missing question" };
+    if (!answer) return { error: "Missing answer" };
+
+    let force = false;
+    if (typeof row.force === "boolean") force = row.force;
+    else if (TRUE_VALUES.test(String(row.force ?? "").trim())) force = true;
+    else if (!FALSE_VALUES.test(String(row.force ?? "").trim())) return { error: `force must be true/false (got "${row.force}")` };
+
+    const { window, error } = parseValidityWindow({ validFrom: row.validFrom ?? null, validUntil: row.validUntil ?? null });
+    if (error) return { error };
+    return { value: { question, normQuestion: question.toLowerCase(), answer, force, ...window } };
+}
+
+// Upsert rows by normalized question. Every imported override lands as a draft
+// (the approval workflow still applies). Questions are embedded in batches of
+// EMBED_BATCH, only when new or missing an embedding (or always with reembed).
+// Returns { dryRun, counts, rows: [{ row, question, action: "created" | "updated" |
+// "unchanged" | "failed", id?, error?, warning? }] }.
+export async function importOverrides(db, rows, { dryRun = false, reembed = false, author = null } = {}) {
+    if (!Array.isArray(rows)) return { error: "Expected an array of rows" };
+    if (rows.length > IMPORT_MAX_ROWS) return { error: `Too many rows (max ${IMPORT_MAX_ROWS} per import)` };
+
+    const report = [];
+    const valid = [];
+    const seen = new Map();
+    rows.forEach((r, i) => {
+        const rowNo = r?._line ?? i + 1;
+        const { value, error } = validateImportRow(r || {});
+        const entry = { row: rowNo, question: value?.question ?? String(r?.question ?? "") };
+        if (!error && seen.has(value.normQuestion)) {
+            report.push({ ...entry, action: "failed", error: `Duplicate of row ${seen.get(value.normQuestion)}` });
+            return;
+        }
+        if (error) {
+            report.push({ ...entry, action: "failed", error });
+            return;
+        }
+        seen.set(value.normQuestion, rowNo);
+        valid.push({ entry, value });
+        report.push(entry);
+    });
+
+    const existing = new Map((await overridesCol(db)
+        .find({ normQuestion: { $in: valid.map(v => v.value.normQuestion) } })
+        .project({ ...Object.fromEntries(VERSIONED_FIELDS.map(k => [k, 1])), hasEmbedding: { $gt: [{ $size: { $ifNull: ["$questionEmbedding", []] } }, 0] } })
+        .toArray()).map(d => [d.normQuestion, d]));
+
+    for (const { entry, value } of valid) {
+        const before = existing.get(value.normQuestion);
+        const changed = !before || CONTENT_FIELDS.some(k => JSON.stringify(before[k] ?? null) !== JSON.stringify(value[k] ?? null));
+        entry.action = !before ? "created" : changed ? "updated" : "unchanged";
+        if (before) entry.id = before._id;
+        entry.needsEmbedding = !before || !before.hasEmbedding || reembed;
+    }
+
+    const counts = () => report.reduce((c, r) => ({ ...c, [r.action]: (c[r.action] || 0) + 1 }), { created: 0, updated: 0, unchanged: 0, failed: 0 });
+    const clean = () => report.map(({ needsEmbedding, ...r }) => r);
+    if (dryRun) return { dryRun: true, counts: counts(), rows: clean() };
+
+    // embed in batches; a failed batch leaves its rows without an embedding (exact match only)
+    const toEmbed = valid.filter(v => v.entry.needsEmbedding && (v.entry.action !== "unchanged" || reembed));
+    const embeddings = new Map();
+    for (let i = 0; i < toEmbed.length; i += EMBED_BATCH) {
+        const batch = toEmbed.slice(i, i + EMBED_BATCH);
+        try {
+            const vecs = await embedBatch(batch.map(v => v.value.normQuestion));
+            batch.forEach((v, j) => embeddings.set(v.value.normQuestion, vecs[j]));
+        } catch (err) {
+            console.warn("Override import: embedding batch failed:", err.message || err);
+            for (const v of batch) v.entry.warning = "Embedding failed; only exact question matches will find this override";
+        }
+    }
+
+    for (const { entry, value } of valid) {
+        const emb = embeddings.get(value.normQuestion) ?? null;
+        try {
+            if (entry.action === "unchanged") {
+                if (emb) await overridesCol(db).updateOne({ normQuestion: value.normQuestion }, { $set: { questionEmbedding: emb } });
+                continue;
+            }
+            const { normQuestion, ...fields } = value;
+            const { doc } = await upsertOverride(db, { ...fields, reviewer: author || "import" }, { author, embedding: emb });
+            entry.id = doc._id;
+        } catch (err) {
+            entry.action = "failed";
+            entry.error = err.message || String(err);
+        }
+    }
+    return { dryRun: false, counts: counts(), rows: clean() };
+}
+
+// Drop links to purged sessions from overrides and their revision history
+// (the one in-place change revisions get: session ids must not outlive the session)
+export async function unlinkSessions(db, sids) {
+    if (!sids.length) return;
+    await overridesCol(db).updateMany({ sid: { $in: sids } }, { $set: { sid: null, assistantMid: null } });
+    await revisionsCol(db).updateMany(
+        { $or: [{ "snapshot.sid": { $in: sids } }, { "diff.sid.from": { $in: sids } }, { "diff.sid.to": { $in: sids } }] },
+        { $set: { "snapshot.sid": null, "snapshot.assistantMid": null }, $unset: { "diff.sid": "", "diff.assistantMid": "" } }
+    );
+}
@@ -0,0 +1,204 @@
+// server/providers.mjs
+// Chat + embedding provider layer. The active provider is chosen by LLM_PROVIDER:
+//   openai            – OpenAI Responses API + embeddings (default)
+//   openai-compatible – any server exposing /v1/chat/completions and /v1/embeddings
+//                       (llama.cpp, Ollama, vLLM…), configured with LLM_BASE_URL
+//   fake              – deterministic, offline; for local development without network
+//
+// Every provider implements:
+//   chat({ model, messages, temperature, maxTokens })            -> Promise<string>
+//   chatStream({ ... }, onDelta(text), signal)                    -> Promise<string>
+//   embed(text)                                                   -> Promise<number[]>
+//   embedBatch(texts)                                             -> Promise<number[][]> (same order)
+import dotenv from "dotenv"; dotenv.config();
+import axios from "axios";
+import OpenAI from "openai";
+
+export const CHAT_MODEL = process.env.CHAT_MODEL || "gpt-4o-mini";
+export const EMBED_MODEL = process.env.EMBED_MODEL || "text-embedding-3-small";
+export const EMBED_DIMS = Number(process.env.EMBED_DIMS) || 1536;
+
+// ---------- OpenAI (Responses API) ----------
+function openaiProvider() {
+    const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+    const client = new OpenAI({ apiKey });
+    const headers = { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` };
+
+    // pull the text out of a Responses API payload (output_text, output[], or chat-style choices)
+    const outputText = (data) => {
+        if (data.output_text) return data.output_text;
+        if (Array.isArray(data.output)) {
+            return data.output.map(o => {
+                if (Array.isArray(o.content)) return o.content.map(c => c.text ?? "").join("");
+                if (o.content && typeof o.content === "string") return o.content;
+                return "";
+            }).join("\n");
+        }
+        return data.choices?.[0]?.message?.content || "";
+    };
+
+    return {
+        name: "openai",
+        async chat({ model = CHAT_MODEL, messages, temperature = 0.2, maxTokens }) {
+            const r = await axios.post(
+                "https://api.openai.com/v1/responses",
+                { model, input: messages, temperature, ...(maxTokens ? { max_output_tokens: maxTokens } : {}) },
+                { headers }
+            );
+            return outputText(r.data).trim();
+        },
+        async chatStream({ model = CHAT_MODEL, messages, temperature = 0.2, maxTokens }, onDelta, signal) {
+            const r = await axios.post(
+                "https://api.openai.com/v1/responses",
+                { model, input: messages, temperature, stream: true, ...(maxTokens ? { max_output_tokens: maxTokens } : {}) },
+                { headers, responseType: "stream", signal }
+            );
+
+            let answer = "";
+            for await (const evt of sseEvents(r.data)) {
+                if (evt.type === "response.output_text.delta" && evt.delta) {
+                    answer += evt.delta;
+                    onDelta(evt.delta);
+                } else if (evt.type === "response.failed" || evt.type === "error") {
+                    throw new Error(evt.response?.error?.message || evt.message || "Streaming response failed");
+                }
+            }
+            return answer;
+        },
+        async embed(text) {
+            const r = await client.embeddings.create({ model: EMBED_MODEL, input: text });
+            return r.data[0].embedding;
+        },
+        async embedBatch(texts) {
+            const r = await client.embeddings.create({ model: EMBED_MODEL, input: texts });
+            return [...r.data].sort((a, b) => a.index - b.index).map(d => d.embedding);
+        }
+    };
+}
+
+// ---------- OpenAI-compatible (Chat Completions API at LLM_BASE_URL) ----------
+function compatibleProvider() {
+    const baseURL = process.env.LLM_BASE_URL;
+    if (!baseURL) throw new Error("LLM_BASE_URL is required for LLM_PROVIDER=openai-compatible");
+    // local servers usually ignore the key, but the SDK insists on one
+    const client = new OpenAI({ baseURL, apiKey: process.env.LLM_API_KEY || "not-needed" });
+
+    return {
+        name: "openai-compatible",
+        async chat({ model = CHAT_MODEL, messages, temperature = 0.2, maxTokens }) {
+            const r = await client.chat.completions.create({ model, messages, temperature, ...(maxTokens ? { max_tokens: maxTokens } : {}) });
+            return (r.choices?.[0]?.message?.content || "").trim();
+        },
+        async chatStream({ model = CHAT_MODEL, messages, temperature = 0.2, maxTokens }, onDelta, signal) {
+            const stream = await client.chat.completions.create(
+                { model, messages, temperature, stream: true, ...(maxTokens ? { max_tokens: maxTokens } : {}) },
+                { signal }
+            );
+            let answer = "";
+            for await (const part of stream) {
+                const delta = part.choices?.[0]?.delta?.content;
+                if (!delta) continue;
+                answer += delta;
+                onDelta(delta);
+            }
+            return answer;
+        },
+        async embed(text) {
+            const r = await client.embeddings.create({ model: EMBED_MODEL, input: text });
+            return r.data[0].embedding;
+        },
+        async embedBatch(texts) {
+            const r = await client.embeddings.create({ model: EMBED_MODEL, input: texts });
+            return [...r.data].sort((a, b) => a.index - b.index).map(d => d.embedding);
+        }
+    };
+}
+
+// ---------- Fake (deterministic, no network) ----------
+// Embeddings are hashed bags of words, so texts sharing vocabulary land close
+// together and retrieval still behaves sensibly. Chat echoes the question back
+// (which makes it a no-op normalizer) or, when website context is present,
+// answers with the opening of the first source and cites it as [n].
+function fakeProvider() {
+    const hash = (s) => {
+        let h = 2166136261;
+        for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); }
+        return h >>> 0;
+    };
+
+    const reply = (messages) => {
+        const last = [...(messages || [])].reverse().find(m => m.role === "user")?.content || "";
+        const ctx = last.match(/=== WEBSITE CONTEXT START ===\n([\s\S]*?)=== WEBSITE CONTEXT END ===/);
+        if (!ctx) return last.trim();
+        const first = ctx[1].match(/Source (\d+)[^\n]*:\n([\s\S]*?)\n\(URL: ([^)]+)\)/);
+        if (!first) return "I don't know. Please check https://law.temple.edu for more information.";
+        const snippet = first[2].replace(/\s+/g, " ").trim().slice(0, 300);
+        return `${snippet} [${first[1]}]`;
+    };
+
+    return {
+        name: "fake",
+        async chat({ messages }) {
+            return reply(messages);
+        },
+        async chatStream({ messages }, onDelta, signal) {
+            const words = reply(messages).split(/(?<=\s)/);
+            let answer = "";
+            for (const w of words) {
+                if (signal?.aborted) throw new Error("aborted");
+                answer += w;
+                onDelta(w);
+            }
+            return answer;
+        },
+        async embed(text) {
+            const v = new Array(EMBED_DIMS).fill(0);
+            const words = String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+            for (const w of words) {
+                const h = hash(w);
+                v[h % EMBED_DIMS] += (h & 1) ? 1 : -1;
+            }
+            const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+            return v.map(x => x / norm);
+        },
+        async embedBatch(texts) {
+            return Promise.all(texts.map(t => this.embed(t)));
+        }
+    };
+}
+
+// ---------- SSE parsing (Responses API streams) ----------
+async function* sseEvents(stream) {
+    let buf = "";
+    for await (const part of stream) {
+        buf += part.toString("utf8");
+        let nl;
+        while ((nl = buf.indexOf("\n")) >= 0) {
+            const line = buf.slice(0, nl).trim();
+            buf = buf.slice(nl + 1);
+            if (!line.startsWith("data:")) continue;
+            const data = line.slice(5).trim();
+            if (!data || data === "[DONE]") continue;
+            try { yield JSON.parse(data); } catch { /* ignore keep-alives / partial junk */ }
+        }
+    }
+}
+
+// ---------- Selection ----------
+const factories = {
+    openai: openaiProvider,
+    "openai-compatible": compatibleProvider,
+    fake: fakeProvider
+};
+
+let provider;
+export function getProvider() {
+    if (!provider) {
+        const name = (process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+        const make = factories[name];
+        if (!make) throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(factories).join(", ")})`);
+        provider = make();
+        console.log("LLM provider:", provider.name);
+    }
+    return provider;
+}
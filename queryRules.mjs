@@ -0,0 +1,152 @@
+// server/queryRules.mjs
+// Admin-managed query expansion rules (collection `query_rules`), applied by
+// retrieve() in place of hardcoded constants. Three kinds of rule:
+//   { type: "synonym", term: "tuition", expansions: ["fees", "billing"] }
+//       query containing `term` also searches for the expansions
+//   { type: "keyword", keyword: "calendar", boost: 0.05, fallback: true }
+//       query containing `keyword` boosts chunks whose text contains it;
+//       `fallback` keywords widen the keyword search when vectors are unavailable
+//   { type: "url", match: "climate|energy", urlPattern: "environmental-law", action: "include" | "boost", boost: 0.05 }
+//       query matching `match` (regex) pulls in / boosts chunks whose url matches `urlPattern` (regex)
+// Every rule also has { enabled, note, createdBy, createdAt, updatedAt }.
+
+export const RULE_TYPES = ["synonym", "keyword", "url"];
+const CACHE_MS = 30 * 1000; // rules are re-read at most this often (writes clear the cache)
+
+// Seeded on first boot from the constants /ask used to hardcode
+const SEED_RULES = [
+    { type: "synonym", term: "start", expansions: ["begin", "open", "commence"] },
+    { type: "synonym", term: "finish", expansions: ["end", "close"] },
+    { type: "synonym", term: "tuition", expansions: ["fees", "billing"] },
+    { type: "synonym", term: "academic", expansions: ["school", "semester", "classes"] },
+    { type: "synonym", term: "calendar", expansions: ["schedule", "term", "dates"] },
+    { type: "synonym", term: "law", expansions: ["temple law", "beasley school of law"] },
+    { type: "synonym", term: "policy", expansions: ["rule", "procedure"] },
+    ...["academic", "calendar", "semester", "schedule", "start", "dates", "program", "tuition", "policy", "admissions"]
+        .map(keyword => ({ type: "keyword", keyword, boost: 0, fallback: true })),
+    { type: "url", match: "environmental law|energy|climate|sustainability", urlPattern: "environmental-law", action: "include", boost: 0 }
+];
+
+const rulesCol = (db) => db.collection("query_rules");
+
+let cache = null; // { at, rules }
+
+export function clearQueryRulesCache() {
+    cache = null;
+}
+
+// Insert the seed rules if the collection has never held any
+export async function seedQueryRules(db) {
+    if (await rulesCol(db).estimatedDocumentCount()) return 0;
+    const now = new Date();
+    const docs = SEED_RULES.map(r => ({ ...r, enabled: true, note: "seeded from built-in defaults", createdBy: "system", createdAt: now, updatedAt: now }));
+    await rulesCol(db).insertMany(docs);
+    clearQueryRulesCache();
+    return docs.length;
+}
+
+export async function loadQueryRules(db) {
+    if (cache && Date.now() - cache.at < CACHE_MS) return cache.rules;
+    const rules = await rulesCol(db).find({ enabled: { $ne: false } }).toArray();
+    cache = { at: Date.now(), rules };
+    return rules;
+}
+
+// Validate an admin payload. `partial` allows PATCH bodies (only given fields).
+// Returns { rule } with the cleaned fields, or { error }.
+export function validateRule(body = {}, { partial = false } = {}) {
+    const rule = {};
+    const type = body.type;
+    if (!partial || type !== undefined) {
+        if (!RULE_TYPES.includes(type)) return { error: `type must be one of ${RULE_TYPES.join(", ")}` };
+        rule.type = type;
+    }
+    const has = (k) => body[k] !== undefined;
+    const str = (v) => String(v ?? "").trim().toLowerCase();
+
+    if (has("term") || (!partial && type === "synonym")) {
+        rule.term = str(body.term);
+        if (!rule.term) return { error: "term is required" };
+    }
+    if (has("expansions") || (!partial && type === "synonym")) {
+        const list = Array.isArray(body.expansions) ? body.expansions : String(body.expansions ?? "").split(",");
+        rule.expansions = [...new Set(list.map(str).filter(Boolean))];
+        if (!rule.expansions.length) return { error: "expansions must list at least one term" };
+    }
+    if (has("keyword") || (!partial && type === "keyword")) {
+        rule.keyword = str(body.keyword);
+        if (!rule.keyword) return { error: "keyword is required" };
+    }
+    if (has("fallback")) rule.fallback = !!body.fallback;
+    for (const k of ["match", "urlPattern"]) {
+        if (has(k) || (!partial && type === "url")) {
+            rule[k] = String(body[k] ?? "").trim();
+            if (!rule[k]) return { error: `${k} is required` };
+            try { new RegExp(rule[k], "i"); } catch { return { error: `${k} is not a valid regular expression` }; }
+        }
+    }
+    if (has("action") || (!partial && type === "url")) {
+        rule.action = body.action || "include";
+        if (!["include", "boost"].includes(rule.action)) return { error: "action must be include or boost" };
+    }
+    if (has("boost") || (!partial && type !== "synonym")) {
+        rule.boost = Number(body.boost ?? 0);
+        if (!Number.isFinite(rule.boost) || Math.abs(rule.boost) > 1) return { error: "boost must be a number between -1 and 1" };
+    }
+    if (has("enabled") || !partial) rule.enabled = body.enabled === undefined ? true : !!body.enabled;
+    if (has("note")) rule.note = String(body.note || "");
+    return { rule };
+}
+
+// ---------- applying rules to a query ----------
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const containsTerm = (text, term) => new RegExp(`\\b${escapeRegex(term)}\\b`, "i").test(text);
+
+function safeRegex(src) {
+    try { return new RegExp(src, "i"); } catch { return null; }
+}
+
+// Everything retrieve() needs for one query:
+//   expansions  – extra search terms from synonym rules
+//   fallbackKeywords – keyword pool for the no-vector fallback
+//   includeUrls – url regexes whose chunks are always candidates
+//   boost(c)    – score adjustment for a candidate { url, text }
+//   applied     – ids of rules that fired (for logging / debugging)
+export async function planQuery(db, query) {
+    const rules = await loadQueryRules(db);
+    const q = String(query || "").toLowerCase();
+    const applied = new Set();
+    const expansions = new Set();
+    const fallbackKeywords = [];
+    const includeUrls = [];
+    const boosts = []; // { test(c), boost }
+
+    for (const r of rules) {
+        const id = String(r._id);
+        if (r.type === "synonym" && r.term && containsTerm(q, r.term)) {
+            (r.expansions || []).forEach(e => expansions.add(e));
+            applied.add(id);
+        } else if (r.type === "keyword" && r.keyword) {
+            if (r.fallback) fallbackKeywords.push(r.keyword);
+            if (r.boost && containsTerm(q, r.keyword)) {
+                boosts.push({ test: (c) => containsTerm(c.text || "", r.keyword), boost: r.boost });
+                applied.add(id);
+            }
+        } else if (r.type === "url") {
+            const match = safeRegex(r.match);
+            const urlRe = safeRegex(r.urlPattern);
+            if (!match || !urlRe || !match.test(q)) continue;
+            if (r.action === "include") includeUrls.push(r.urlPattern);
+            if (r.boost) boosts.push({ test: (c) => urlRe.test(c.url || ""), boost: r.boost });
+            applied.add(id);
+        }
+    }
+
+    return {
+        expansions: [...expansions],
+        fallbackKeywords,
+        includeUrls,
+        boost: (c) => boosts.reduce((sum, b) => sum + (b.test(c) ? b.boost : 0), 0),
+        applied: [...applied]
+    };
+}
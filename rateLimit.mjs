@@ -0,0 +1,142 @@
+// server/rateLimit.mjs
+// Mongo-backed rate limits and daily quotas for the public endpoints.
+//
+// Limits live in `settings` ({ _id: "rate_limits", enabled, exemptIps, limits })
+// and are editable through /admin/rate-limits; until saved, DEFAULT_LIMITS apply.
+// Per route, four counters are checked: requests per minute and per UTC day,
+// each keyed by client IP and by session id (when the request carries one).
+// A limit of 0 means "no limit". Counters never store the raw IP: the key is
+// its keyed hash (minimizeIp in "hash" mode), whatever ipMode sessions use,
+// so limits still apply per client when sessions truncate or drop IPs.
+//
+// Counters are fixed-window documents in `rate_counters`:
+//   { _id: "<route>:<kind>:<key>:<window>:<start>", route, kind: "ip" | "sid", key,
+//     window: "minute" | "day", count, limit, blocked, lastBlockedAt, resetAt }
+// A TTL index on resetAt removes them once the window is over.
+import { getDb } from "./db.mjs";
+import { minimizeIp } from "./retention.mjs";
+
+export const RATE_ROUTES = ["ask", "feedback", "reset", "history"];
+const LIMIT_KEYS = ["ipPerMinute", "sidPerMinute", "ipPerDay", "sidPerDay"];
+
+export const DEFAULT_LIMITS = {
+    ask: { ipPerMinute: 10, sidPerMinute: 6, ipPerDay: 200, sidPerDay: 100 },
+    feedback: { ipPerMinute: 30, sidPerMinute: 20, ipPerDay: 500, sidPerDay: 200 },
+    reset: { ipPerMinute: 10, sidPerMinute: 10, ipPerDay: 200, sidPerDay: 100 },
+    history: { ipPerMinute: 60, sidPerMinute: 30, ipPerDay: 2000, sidPerDay: 1000 }
+};
+
+const CACHE_MS = 30 * 1000;
+const WINDOWS = { minute: 60 * 1000, day: 24 * 3600 * 1000 };
+
+let cache = null; // { at, config }
+
+export async function getRateLimitConfig(db) {
+    if (cache && Date.now() - cache.at < CACHE_MS) return cache.config;
+    const doc = await db.collection("settings").findOne({ _id: "rate_limits" });
+    const config = {
+        enabled: doc?.enabled ?? true,
+        exemptIps: doc?.exemptIps || [],
+        limits: Object.fromEntries(RATE_ROUTES.map(r => [r, { ...DEFAULT_LIMITS[r], ...(doc?.limits?.[r] || {}) }])),
+        updatedBy: doc?.updatedBy || null,
+        updatedAt: doc?.updatedAt || null
+    };
+    cache = { at: Date.now(), config };
+    return config;
+}
+
+// Validate and save a partial update: { enabled, exemptIps, limits: { ask: { ipPerMinute, ... } } }.
+// Returns { config } or { error }.
+export async function updateRateLimitConfig(db, body = {}, updatedBy = null) {
+    const set = {};
+    if (body.enabled !== undefined) set.enabled = !!body.enabled;
+    if (body.exemptIps !== undefined) {
+        if (!Array.isArray(body.exemptIps)) return { error: "exemptIps must be an array" };
+        set.exemptIps = body.exemptIps.map(ip => String(ip).trim()).filter(Boolean);
+    }
+    for (const [route, limits] of Object.entries(body.limits || {})) {
+        if (!RATE_ROUTES.includes(route)) return { error: `Unknown route "${route}" (expected ${RATE_ROUTES.join(", ")})` };
+        for (const [k, v] of Object.entries(limits || {})) {
+            if (!LIMIT_KEYS.includes(k)) return { error: `Unknown limit "${k}" (expected ${LIMIT_KEYS.join(", ")})` };
+            const n = Number(v);
+            if (!Number.isInteger(n) || n < 0) return { error: `${route}.${k} must be a whole number (0 = no limit)` };
+            set[`limits.${route}.${k}`] = n;
+        }
+    }
+    if (!Object.keys(set).length) return { error: "Nothing to update" };
+
+    await db.collection("settings").updateOne(
+        { _id: "rate_limits" },
+        { $set: { ...set, updatedBy, updatedAt: new Date() } },
+        { upsert: true }
+    );
+    cache = null;
+    return { config: await getRateLimitConfig(db) };
+}
+
+// Count one request against a counter; resolves with the counter after the increment
+async function hit(db, route, kind, key, window, limit, now) {
+    const size = WINDOWS[window];
+    const start = Math.floor(now / size) * size;
+    const resetAt = new Date(start + size);
+    return db.collection("rate_counters").findOneAndUpdate(
+        { _id: `${route}:${kind}:${key}:${window}:${start}` },
+        { $inc: { count: 1 }, $set: { limit }, $setOnInsert: { route, kind, key, window, blocked: 0, resetAt } },
+        { upsert: true, returnDocument: "after" }
+    );
+}
+
+// Express middleware for one of RATE_ROUTES. Over the limit -> 429 with Retry-After.
+// Fails open (logs and lets the request through) if Mongo is unavailable.
+export function rateLimit(route) {
+    return async (req, res, next) => {
+        try {
+            const db = await getDb();
+            const config = await getRateLimitConfig(db);
+            const ip = req.ip || "unknown";
+            if (!config.enabled || config.exemptIps.includes(ip)) return next();
+
+            const sid = String(req.body?.sid || req.query?.sid || "").trim();
+            const limits = config.limits[route] || {};
+            const now = Date.now();
+            const ipKey = minimizeIp(ip, "hash");
+            const checks = [
+                ["ip", ipKey, "minute", limits.ipPerMinute],
+                ["ip", ipKey, "day", limits.ipPerDay],
+                ...(sid ? [["sid", sid, "minute", limits.sidPerMinute], ["sid", sid, "day", limits.sidPerDay]] : [])
+            ].filter(([, , , limit]) => limit > 0);
+
+            const counters = await Promise.all(checks.map(([kind, key, window, limit]) => hit(db, route, kind, key, window, limit, now)));
+            const over = counters.filter(c => c && c.count > c.limit);
+            if (!over.length) return next();
+
+            await db.collection("rate_counters").updateMany(
+                { _id: { $in: over.map(c => c._id) } },
+                { $inc: { blocked: 1 }, $set: { lastBlockedAt: new Date(now) } }
+            );
+            // wait for the longest of the exceeded windows
+            const worst = over.reduce((a, b) => (b.resetAt > a.resetAt ? b : a));
+            const retryAfter = Math.max(1, Math.ceil((worst.resetAt.getTime() - now) / 1000));
+            res.set("Retry-After", String(retryAfter));
+            return res.status(429).json({
+                error: worst.window === "day" ? "Daily limit reached. Please try again tomorrow." : "Too many requests. Please slow down.",
+                retryAfter,
+                limit: { kind: worst.kind, window: worst.window, max: worst.limit }
+            });
+        } catch (err) {
+            console.warn(`Rate limit check failed for ${route}, allowing request:`, err.message || err);
+            return next();
+        }
+    };
+}
+
+// Clients currently over a limit (their window has not reset yet)
+export async function listThrottled(db, { route = null, limit = 200 } = {}) {
+    const filter = { blocked: { $gt: 0 }, resetAt: { $gt: new Date() } };
+    if (route) filter.route = route;
+    return db.collection("rate_counters")
+        .find(filter)
+        .sort({ lastBlockedAt: -1 })
+        .limit(limit)
+        .toArray();
+}
@@ -0,0 +1,97 @@
+// server/rerank.mjs
+// Optional second-stage rerankers, run by retrieve() over the head of the
+// fused candidate list. Choose with RERANKER (or retrieve({ rerank })):
+//   none  – keep the fused order (default)
+//   local – lexical cross-scorer: weighted query-term coverage, exact phrase
+//           hits and heading matches, blended with the vector similarity
+//   llm   – ask the chat provider to score each passage 0–10
+// Every reranker returns one score per candidate (higher is better), or null
+// when it could not score them (the caller then keeps the fused order).
+import { getProvider } from "./providers.mjs";
+
+export const RERANKERS = ["none", "local", "llm"];
+export const DEFAULT_RERANKER = (process.env.RERANKER || "none").trim().toLowerCase();
+
+const STOPWORDS = new Set(["the", "and", "for", "are", "what", "when", "where", "who", "how", "does", "can", "with", "about", "from", "that", "this", "you", "your", "our", "is", "of", "to", "in", "on", "a", "an", "at", "or", "be", "do", "i", "my", "me", "it", "as", "by"]);
+
+// keeps dotted tokens such as "ll.m" and course numbers such as "0501"
+const tokenize = (s) => (String(s || "").toLowerCase().match(/[a-z0-9]+(?:\.[a-z0-9]+)*/g) || []);
+
+export async function rerank(query, candidates, method = DEFAULT_RERANKER) {
+    if (!candidates.length || method === "none") return null;
+    if (method === "local") return localScores(query, candidates);
+    if (method === "llm") return llmScores(query, candidates);
+    console.warn(`Unknown reranker "${method}" (expected ${RERANKERS.join(", ")}); keeping fused order`);
+    return null;
+}
+
+// ---------- local lexical cross-scorer ----------
+function localScores(query, candidates) {
+    const qTerms = [...new Set(tokenize(query).filter(t => !STOPWORDS.has(t)))];
+    if (!qTerms.length) return candidates.map(c => c.sim ?? 0);
+
+    const docs = candidates.map(c => {
+        const body = tokenize(c.text);
+        return { body, terms: new Set(body), heading: new Set(tokenize(c.headingPath)) };
+    });
+
+    // idf over the candidate set, so rare terms (course numbers, degree names) dominate
+    const idf = new Map(qTerms.map(t => {
+        const df = docs.filter(d => d.terms.has(t)).length;
+        return [t, Math.log((docs.length + 1) / (df + 0.5))];
+    }));
+    const idfTotal = qTerms.reduce((s, t) => s + idf.get(t), 0) || 1;
+
+    // adjacent query-term pairs, matched as exact phrases
+    const qTokens = tokenize(query);
+    const bigrams = qTokens.slice(1).map((t, i) => `${qTokens[i]} ${t}`)
+        .filter(b => !b.split(" ").every(w => STOPWORDS.has(w)));
+
+    return candidates.map((c, i) => {
+        const d = docs[i];
+        let coverage = 0;
+        for (const t of qTerms) {
+            if (d.terms.has(t)) coverage += idf.get(t);
+            if (d.heading.has(t)) coverage += 0.5 * idf.get(t);
+        }
+        coverage /= idfTotal * 1.5;
+
+        let phrase = 0;
+        if (bigrams.length) {
+            const joined = ` ${d.body.join(" ")} `;
+            phrase = bigrams.filter(b => joined.includes(` ${b} `)).length / bigrams.length;
+        }
+
+        return 0.5 * coverage + 0.3 * phrase + 0.2 * Math.max(0, c.sim ?? 0);
+    });
+}
+
+// ---------- LLM scorer ----------
+async function llmScores(query, candidates) {
+    const passages = candidates
+        .map((c, i) => `[${i + 1}] ${String(c.text || "").replace(/\s+/g, " ").slice(0, 600)}`)
+        .join("\n\n");
+    try {
+        const reply = await getProvider().chat({
+            messages: [
+                { role: "system", content: "You rate how well each passage answers the question, from 0 (irrelevant) to 10 (answers it directly). Reply with JSON only: [{\"i\": 1, \"score\": 7}, ...], one entry per passage." },
+                { role: "user", content: `Question: ${query}\n\nPassages:\n${passages}` }
+            ],
+            temperature: 0,
+            maxTokens: 600
+        });
+        const json = (reply || "").match(/\[[\s\S]*\]/);
+        const rows = json ? JSON.parse(json[0]) : null;
+        if (!Array.isArray(rows)) throw new Error("reply is not a JSON array");
+
+        const scores = candidates.map(() => 0);
+        for (const r of rows) {
+            const i = Number(r.i) - 1;
+            if (i >= 0 && i < scores.length && Number.isFinite(Number(r.score))) scores[i] = Number(r.score) / 10;
+        }
+        return scores;
+    } catch (err) {
+        console.warn("LLM rerank failed, keeping fused order:", err.message || err);
+        return null;
+    }
+}
@@ -1,15 +1,11 @@
 import { getDb } from "./db.mjs";
-import { collectFromSitemap, indexUrl } from "./indexer.mjs";
+import { collectFromSitemap, indexAll } from "./indexer.mjs";
+import { resetVectorIndex, flushVectorIndex } from "./vectorIndex.mjs";
+import { clearAnswerCache } from "./answerCache.mjs";
 
 const sitemap = "https://law.temple.edu/sitemap_index.xml";
 const max = 2000;
 
-const deny = [
-    /\/wp-admin/i, /\/wp-json/i, /\/feed/i,
-    /\.pdf$/i, /\.jpg$/i, /\.jpeg$/i, /\.png$/i, /\.gif$/i, /\.svg$/i,
-    /twitter\.com/i, /facebook\.com/i, /linkedin\.com/i
-];
-
 (async () => {
     try {
         const db = await getDb();
@@ -17,6 +13,8 @@ const deny = [
         // clear old data
         await db.collection("pages").deleteMany({});
         await db.collection("chunks").deleteMany({});
+        await resetVectorIndex();
+        await clearAnswerCache(db);
 
         console.log("Cleared old pages & chunks ");
 
@@ -29,28 +27,28 @@ const deny = [
         let added = 0, denied = 0, empty = 0, other = 0;
         const skippedUrls = [];
 
-        for (let i = 0; i < urls.length; i++) {
-            const u = urls[i];
-            const r = await indexUrl(db, u, deny);
+        await indexAll(db, urls, {
+            onResult: (r, t) => {
+                const u = r.url;
+                if (r.status === "added") {
+                    added++;
+                } else if (r.reason === "deny") {
+                    denied++;
+                    skippedUrls.push({ url: u, reason: "denied" });
+                    console.log(` DENIED: ${u}`);
+                } else if (r.reason === "too-short") {
+                    empty++;
+                    skippedUrls.push({ url: u, reason: "empty" });
+                    console.log(` EMPTY: ${u}`);
+                } else {
+                    other++;
+                    skippedUrls.push({ url: u, reason: r.status || r.reason || r.error || "unknown" });
+                    console.log(` SKIPPED: ${u} -> ${r.status || r.reason || r.error}`);
+                }
 
-            if (r.status === "added") {
-                added++;
-            } else if (r.status === "denied") {
-                denied++;
-                skippedUrls.push({ url: u, reason: "denied" });
-                console.log(` DENIED: ${u}`);
-            } else if (r.status === "empty") {
-                empty++;
-                skippedUrls.push({ url: u, reason: "empty" });
-                console.log(` EMPTY: ${u}`);
-            } else {
-                other++;
-                skippedUrls.push({ url: u, reason: r.status || "unknown" });
-                console.log(` SKIPPED: ${u} -> ${r.status}`);
+                if (t.total % 50 === 0) console.log(`Progress: ${t.total}/${urls.length + t.pdfs}`);
             }
-
-            if (i % 50 === 0) console.log(`Progress: ${i}/${urls.length}`);
-        }
+        });
 
         console.log(`\nFinished 
       Total Added: ${added}, 
@@ -65,6 +63,7 @@ const deny = [
             console.log(`Saved ${skippedUrls.length} skipped URLs into "skipped" collection 📂`);
         }
 
+        await flushVectorIndex();
         process.exit(0);
     } catch (err) {
         console.error("Error:", err);
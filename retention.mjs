@@ -0,0 +1,194 @@
+// server/retention.mjs
+// PII minimization and retention for `sessions`.
+//
+// Before storage (see appendTurn):
+//   - client IPs are hashed (keyed HMAC, "h:<hex>") or truncated ("t:" + IPv4 /24
+//     or IPv6 /48), or dropped, depending on ipMode
+//   - emails, phone numbers and TUIDs in user messages become [email], [phone], [tuid]
+//     (assistant answers are left alone: the office numbers they quote are public)
+// Sessions idle for longer than sessionDays are purged by a periodic sweep.
+// purgeSession() implements export-then-purge for data-subject requests.
+// Every purge writes a document to `purge_reports`:
+//   { reason: "retention" | "request" | "admin-delete", sids, sessions, turns,
+//     criteria, requestedBy, createdAt }
+//
+// Settings live in `settings` ({ _id: "retention", sessionDays, ipMode }),
+// defaulting to SESSION_RETENTION_DAYS (90; 0 keeps sessions forever) and IP_MODE (hash).
+import dotenv from "dotenv"; dotenv.config();
+import crypto from "crypto";
+import { unlinkSessions } from "./overrides.mjs";
+import { pullSessionExamples } from "./unanswered.mjs";
+
+export const IP_MODES = ["hash", "truncate", "drop"];
+const envDays = parseInt(process.env.SESSION_RETENTION_DAYS, 10);
+const DEFAULT_DAYS = Number.isInteger(envDays) && envDays >= 0 ? envDays : 90;
+const DEFAULT_IP_MODE = IP_MODES.includes(process.env.IP_MODE) ? process.env.IP_MODE : "hash";
+const IP_SECRET = process.env.IP_HASH_SECRET || process.env.JWT_SECRET || "templelawsecret";
+const SWEEP_EVERY_MS = (Number(process.env.RETENTION_SWEEP_HOURS) || 6) * 3600 * 1000;
+const REPORT_MAX_SIDS = 10000;   // sids listed per report (counts are always exact)
+const SCRUB_BATCH = 500;         // legacy sessions with raw IPs rewritten per sweep
+const CACHE_MS = 30 * 1000;
+
+// ---------- settings ----------
+let cache = null; // { at, config }
+
+export async function getRetentionConfig(db) {
+    if (cache && Date.now() - cache.at < CACHE_MS) return cache.config;
+    const doc = await db.collection("settings").findOne({ _id: "retention" });
+    const config = {
+        sessionDays: doc?.sessionDays ?? DEFAULT_DAYS,
+        ipMode: IP_MODES.includes(doc?.ipMode) ? doc.ipMode : DEFAULT_IP_MODE,
+        updatedBy: doc?.updatedBy || null,
+        updatedAt: doc?.updatedAt || null
+    };
+    cache = { at: Date.now(), config };
+    return config;
+}
+
+// Partial update: { sessionDays, ipMode }. Returns { config } or { error }.
+export async function updateRetentionConfig(db, body = {}, updatedBy = null) {
+    const set = {};
+    if (body.sessionDays !== undefined) {
+        const n = Number(body.sessionDays);
+        if (!Number.isInteger(n) || n < 0) return { error: "sessionDays must be a whole number (0 = keep forever)" };
+        set.sessionDays = n;
+    }
+    if (body.ipMode !== undefined) {
+        if (!IP_MODES.includes(body.ipMode)) return { error: `ipMode must be one of ${IP_MODES.join(", ")}` };
+        set.ipMode = body.ipMode;
+    }
+    if (!Object.keys(set).length) return { error: "Nothing to update" };
+
+    await db.collection("settings").updateOne(
+        { _id: "retention" },
+        { $set: { ...set, updatedBy, updatedAt: new Date() } },
+        { upsert: true }
+    );
+    cache = null;
+    return { config: await getRetentionConfig(db) };
+}
+
+// ---------- minimization ----------
+const IPV4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+// true for addresses already hashed or truncated by minimizeIp (raw addresses
+// can end in .0 or ::, so only the stored-format prefix counts)
+function isMinimized(ip) {
+    return !ip || ip.startsWith("h:") || ip.startsWith("t:");
+}
+
+export function minimizeIp(ip, mode = DEFAULT_IP_MODE) {
+    if (!ip || mode === "drop") return null;
+    let addr = String(ip).trim().replace(/^::ffff:/i, "");
+    if (isMinimized(addr)) return addr;
+    if (mode === "truncate") {
+        const v4 = addr.match(IPV4);
+        if (v4) return `t:${v4[1]}.${v4[2]}.${v4[3]}.0`;
+        const hextets = addr.split("::")[0].split(":").filter(Boolean);
+        return `t:${hextets.slice(0, 3).join(":")}::`;
+    }
+    return `h:${crypto.createHmac("sha256", IP_SECRET).update(addr).digest("hex").slice(0, 16)}`;
+}
+
+const PII_PATTERNS = [
+    [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, "[email]"],
+    // Temple University IDs: 9 digits starting with 9 (optionally labelled "TUID")
+    [/\b(tuid\s*[:#]?\s*)?9\d{8}\b/gi, "[tuid]"],
+    [/\btuid\s*[:#]?\s*\d{6,10}\b/gi, "[tuid]"],
+    // North American phone numbers: (215) 204-7861, 215.204.7861, +1 215 204 7861
+    [/(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}\b/g, "[phone]"]
+];
+
+export function redactPII(text) {
+    let out = String(text ?? "");
+    for (const [rx, label] of PII_PATTERNS) out = out.replace(rx, label);
+    return out;
+}
+
+// ---------- purging ----------
+async function writeReport(db, { reason, sessions, criteria = {}, requestedBy = null }) {
+    const report = {
+        reason,
+        sessions: sessions.length,
+        turns: sessions.reduce((n, s) => n + (s.history?.length || 0), 0),
+        sids: sessions.slice(0, REPORT_MAX_SIDS).map(s => s.sid),
+        criteria,
+        requestedBy,
+        createdAt: new Date()
+    };
+    const { insertedId } = await db.collection("purge_reports").insertOne(report);
+    return { _id: insertedId, ...report };
+}
+
+// Remove everything tied to one session. Returns { export, report } (export is
+// the full session document as it was before deletion), or null if not found.
+export async function purgeSession(db, sid, { reason = "request", requestedBy = null } = {}) {
+    const session = await db.collection("sessions").findOne({ sid });
+    if (!session) return null;
+
+    await db.collection("sessions").deleteOne({ sid });
+    // overrides reviewed from this session keep their content but lose the link
+    await unlinkSessions(db, [sid]);
+    await pullSessionExamples(db, [sid]);
+    await db.collection("rate_counters").deleteMany({ kind: "sid", key: sid });
+
+    const report = await writeReport(db, { reason, sessions: [session], criteria: { sid }, requestedBy });
+    return { export: session, report };
+}
+
+// Purge sessions idle for longer than the configured number of days
+export async function purgeExpiredSessions(db) {
+    const { sessionDays } = await getRetentionConfig(db);
+    if (!sessionDays) return null;
+
+    const cutoff = new Date(Date.now() - sessionDays * 24 * 3600 * 1000);
+    const expired = await db.collection("sessions")
+        .find({ updatedAt: { $lt: cutoff } })
+        .project({ sid: 1, history: { mid: 1 } })
+        .toArray();
+    if (!expired.length) return null;
+
+    const sids = expired.map(s => s.sid);
+    await db.collection("sessions").deleteMany({ sid: { $in: sids } });
+    await unlinkSessions(db, sids);
+    await pullSessionExamples(db, sids);
+    const report = await writeReport(db, { reason: "retention", sessions: expired, criteria: { sessionDays, updatedBefore: cutoff } });
+    console.log(`Retention: purged ${expired.length} session(s) idle since before ${cutoff.toISOString()}`);
+    return report;
+}
+
+// raw IPv4 (optionally IPv4-mapped) or IPv6, i.e. without the "h:" / "t:" prefix of minimizeIp
+const LEGACY_IP = /^(::ffff:)?\d{1,3}(\.\d{1,3}){3}$|^[0-9a-f]*:[0-9a-f:]*$/i;
+
+// Minimize IPs and redact user messages in sessions stored before minimization existed
+export async function scrubLegacySessions(db) {
+    const { ipMode } = await getRetentionConfig(db);
+    const legacy = await db.collection("sessions")
+        .find({ "history.ip": { $regex: LEGACY_IP.source, $options: "i" } })
+        .project({ sid: 1, history: 1 })
+        .limit(SCRUB_BATCH)
+        .toArray();
+
+    for (const s of legacy) {
+        const history = (s.history || []).map(h => {
+            if (h.role !== "user") return h;
+            return { ...h, content: redactPII(h.content), ...("ip" in h ? { ip: minimizeIp(h.ip, ipMode) } : {}) };
+        });
+        await db.collection("sessions").updateOne({ _id: s._id }, { $set: { history } });
+    }
+    if (legacy.length) console.log(`Retention: scrubbed ${legacy.length} legacy session(s)`);
+    return legacy.length;
+}
+
+export async function runRetention(db) {
+    const scrubbed = await scrubLegacySessions(db);
+    const report = await purgeExpiredSessions(db);
+    return { scrubbed, purged: report?.sessions || 0, report };
+}
+
+// Sweep now and then every RETENTION_SWEEP_HOURS (timer doesn't keep the process alive)
+export function startRetentionSweeps(db) {
+    const sweep = () => runRetention(db).catch(err => console.error("Retention sweep failed:", err));
+    sweep();
+    setInterval(sweep, SWEEP_EVERY_MS).unref();
+}
@@ -0,0 +1,301 @@
+// server/unanswered.mjs
+// Mines questions the bot handled badly and groups them into a reviewer queue.
+//
+// A question is "unanswered" when its RAG/cached answer
+//   - had a top chunk score under SITE_THRESHOLD (lowScore),
+//   - said it didn't know / fell back (dontKnow), or
+//   - got thumbs-down feedback (negative).
+// Each mining run embeds those questions, clusters them greedily by cosine
+// similarity (UNANSWERED_CLUSTER_SIM) and ranks clusters by how many sessions
+// asked them. Clusters already covered by an override, or close to one a
+// reviewer dismissed, are skipped. The top clusters get a draft answer
+// generated from retrieval so the reviewer starts from something.
+//
+// Runs are tracked in `unanswered_runs`
+//   { status: "running" | "completed" | "failed" | "interrupted", params, counts, createdBy, createdAt, finishedAt, error }
+// ("interrupted": the server restarted mid-run, see recoverMiningRuns)
+// and the queue lives in `unanswered_clusters`
+//   { runId, status: "open" | "resolved" | "dismissed", question, count, sessions, reasons,
+//     examples: [{ sid, userMid, assistantMid, question, answer, topScore, feedback, ts }],
+//     centroid, draft: { answer, sources }, firstAskedAt, lastAskedAt, createdAt,
+//     reviewedBy, reviewedAt, overrideId }
+// A new run replaces the open clusters; resolved and dismissed ones are kept.
+// Examples quote session turns, so purging a session pulls them from every
+// cluster (see pullSessionExamples).
+import dotenv from "dotenv"; dotenv.config();
+import { ObjectId } from "mongodb";
+import { embedBatch, cosine } from "./embeddings.mjs";
+import { upsertOverride } from "./overrides.mjs";
+import { getProvider } from "./providers.mjs";
+import { DEFAULTS, retrieve, buildMessages, numberSources } from "./retrieval.mjs";
+
+const CLUSTER_SIM = Number(process.env.UNANSWERED_CLUSTER_SIM) || 0.85;
+const DEFAULT_DAYS = 30;
+const MAX_QUESTIONS = 2000;   // most recent candidates embedded per run
+const MAX_EXAMPLES = 5;       // example turns kept per cluster
+const DRAFT_LIMIT = 20;       // clusters (by rank) that get a draft answer
+const EMBED_BATCH = 100;      // questions per embedding call
+const DONT_KNOW = /\b(i (don't|do not) know|couldn't find relevant info|could not find (any )?(relevant )?info|not (sure|able to find))\b/i;
+
+const runs = (db) => db.collection("unanswered_runs");
+const clusters = (db) => db.collection("unanswered_clusters");
+
+let running = null; // id of the run in progress (one at a time per process)
+
+// ---------- candidates ----------
+
+// Why an assistant turn counts as unanswered (empty array = it doesn't)
+function reasonsFor(answer, threshold) {
+    if (answer.blocked || answer.override) return [];
+    const reasons = [];
+    const topScore = answer.retrieval?.topScore;
+    if (typeof topScore === "number" && topScore < threshold) reasons.push("lowScore");
+    if (DONT_KNOW.test(answer.content || "")) reasons.push("dontKnow");
+    if (answer.feedback?.correct === false) reasons.push("negative");
+    return reasons;
+}
+
+// { sid, userMid, assistantMid, question, answer, topScore, feedback, ts, reasons } per unanswered question
+async function collectCandidates(db, { since, threshold }) {
+    const cur = db.collection("sessions")
+        .find({ updatedAt: { $gte: since } })
+        .project({ sid: 1, history: 1 })
+        .sort({ updatedAt: -1 });
+
+    const out = [];
+    for await (const s of cur) {
+        const history = s.history || [];
+        for (let i = 1; i < history.length; i++) {
+            const a = history[i];
+            const u = history[i - 1];
+            if (a.role !== "assistant" || u.role !== "user" || new Date(a.ts) < since) continue;
+            const reasons = reasonsFor(a, threshold);
+            if (!reasons.length) continue;
+            const question = String(u.condensedQuery || u.content || "").trim();
+            if (!question) continue;
+            out.push({
+                sid: s.sid,
+                userMid: u.mid,
+                assistantMid: a.mid,
+                question,
+                answer: a.content,
+                topScore: a.retrieval?.topScore ?? null,
+                feedback: a.feedback || null,
+                ts: a.ts,
+                reasons
+            });
+        }
+        if (out.length >= MAX_QUESTIONS) break;
+    }
+    return out.slice(0, MAX_QUESTIONS);
+}
+
+// ---------- clustering ----------
+
+// Greedy single pass: join the most similar cluster above CLUSTER_SIM, else start one.
+// Centroids are running means, so order matters little for tight clusters.
+export function clusterByEmbedding(items, sim = CLUSTER_SIM) {
+    const groups = [];
+    for (const item of items) {
+        let best = null;
+        for (const g of groups) {
+            const s = cosine(item.vec, g.centroid);
+            if (s >= sim && (!best || s > best.s)) best = { g, s };
+        }
+        if (!best) {
+            groups.push({ centroid: [...item.vec], members: [item] });
+            continue;
+        }
+        const { g } = best;
+        const n = g.members.length;
+        g.centroid = g.centroid.map((v, i) => (v * n + item.vec[i]) / (n + 1));
+        g.members.push(item);
+    }
+    return groups;
+}
+
+// Member closest to the centroid
+function representative(group) {
+    let best = null;
+    for (const m of group.members) {
+        const s = cosine(m.vec, group.centroid);
+        if (!best || s > best.s) best = { m, s };
+    }
+    return best.m;
+}
+
+async function draftAnswer(db, question) {
+    try {
+        const { top } = await retrieve(db, question);
+        const answer = await getProvider().chat({ messages: buildMessages(question, top), temperature: 0.2, maxTokens: 500 });
+        return { answer: (answer || "").trim(), sources: numberSources(top).map(s => s.url) };
+    } catch (err) {
+        console.warn("Draft answer failed:", err.message || err);
+        return null;
+    }
+}
+
+// ---------- runs ----------
+
+// Start a mining run in the background. Returns the run document, or { error }
+// when one is already in progress.
+export async function startMiningRun(db, { days = DEFAULT_DAYS, threshold = DEFAULTS.SITE_THRESHOLD, minCount = 1 } = {}, { createdBy = null } = {}) {
+    if (running) return { error: "A mining run is already in progress", runId: running };
+    const run = {
+        status: "running",
+        params: { days: Number(days) || DEFAULT_DAYS, threshold: Number(threshold), minCount: Math.max(1, parseInt(minCount, 10) || 1) },
+        counts: {},
+        createdBy,
+        createdAt: new Date(),
+        finishedAt: null,
+        error: null
+    };
+    const { insertedId } = await runs(db).insertOne(run);
+    running = String(insertedId);
+    setImmediate(() => mine(db, insertedId, run.params)
+        .catch(async err => {
+            console.error("Unanswered mining failed:", err);
+            await runs(db).updateOne({ _id: insertedId }, { $set: { status: "failed", error: err.message || String(err), finishedAt: new Date() } });
+        })
+        .finally(() => { running = null; }));
+    return { run: { _id: insertedId, ...run } };
+}
+
+async function mine(db, runId, { days, threshold, minCount }) {
+    const since = new Date(Date.now() - days * 24 * 3600 * 1000);
+    const candidates = await collectCandidates(db, { since, threshold });
+
+    // a failed batch only drops its own questions from the run
+    const items = [];
+    for (let i = 0; i < candidates.length; i += EMBED_BATCH) {
+        const batch = candidates.slice(i, i + EMBED_BATCH);
+        try {
+            const vecs = await embedBatch(batch.map(c => c.question.toLowerCase()));
+            batch.forEach((c, j) => items.push({ ...c, vec: vecs[j] }));
+        } catch (err) {
+            console.warn(`Embedding failed for ${batch.length} unanswered question(s):`, err.message || err);
+        }
+    }
+
+    // existing overrides and dismissed clusters are not suggested again
+    const [overrides, dismissed] = await Promise.all([
+        db.collection("faq_overrides").find({ questionEmbedding: { $exists: true } }).project({ questionEmbedding: 1 }).toArray(),
+        clusters(db).find({ status: "dismissed" }).project({ centroid: 1 }).toArray()
+    ]);
+    const covered = (vec) =>
+        overrides.some(o => Array.isArray(o.questionEmbedding) && cosine(vec, o.questionEmbedding.map(Number)) >= DEFAULTS.OVERRIDE_EMB_THRESHOLD)
+        || dismissed.some(d => Array.isArray(d.centroid) && cosine(vec, d.centroid) >= CLUSTER_SIM);
+
+    const groups = clusterByEmbedding(items)
+        .map(g => ({ ...g, sessions: new Set(g.members.map(m => m.sid)).size }))
+        .filter(g => g.members.length >= minCount && !covered(g.centroid))
+        .sort((a, b) => b.sessions - a.sessions || b.members.length - a.members.length);
+
+    const now = new Date();
+    const docs = [];
+    for (const [rank, g] of groups.entries()) {
+        const rep = representative(g);
+        const members = [...g.members].sort((a, b) => new Date(b.ts) - new Date(a.ts));
+        const reasons = { lowScore: 0, dontKnow: 0, negative: 0 };
+        for (const m of members) for (const r of m.reasons) reasons[r]++;
+        docs.push({
+            runId,
+            status: "open",
+            question: rep.question,
+            count: members.length,
+            sessions: g.sessions,
+            reasons,
+            examples: members.slice(0, MAX_EXAMPLES).map(({ vec, reasons: _r, ...ex }) => ex),
+            centroid: g.centroid,
+            draft: rank < DRAFT_LIMIT ? await draftAnswer(db, rep.question) : null,
+            firstAskedAt: members[members.length - 1].ts,
+            lastAskedAt: members[0].ts,
+            createdAt: now
+        });
+    }
+
+    await clusters(db).deleteMany({ status: "open" });
+    if (docs.length) await clusters(db).insertMany(docs);
+
+    const counts = { questions: candidates.length, embedded: items.length, clusters: docs.length };
+    await runs(db).updateOne({ _id: runId }, { $set: { status: "completed", counts, finishedAt: new Date() } });
+    console.log(`Unanswered mining: ${counts.questions} question(s) -> ${counts.clusters} cluster(s)`);
+}
+
+// Runs left "running" by a previous server process will never finish
+export async function recoverMiningRuns(db) {
+    const r = await runs(db).updateMany(
+        { status: "running" },
+        { $set: { status: "interrupted", finishedAt: new Date() } }
+    );
+    if (r.modifiedCount) console.warn(`Marked ${r.modifiedCount} unfinished mining run(s) as interrupted`);
+}
+
+export async function getMiningRun(db, id) {
+    return runs(db).findOne({ _id: new ObjectId(String(id)) });
+}
+
+// ---------- queue ----------
+
+export async function listClusters(db, { status = "open", limit = 25, skip = 0 } = {}) {
+    const filter = status === "all" ? {} : { status };
+    const [total, rows] = await Promise.all([
+        clusters(db).countDocuments(filter),
+        clusters(db).find(filter, { projection: { centroid: 0 } })
+            .sort({ sessions: -1, count: -1, lastAskedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray()
+    ]);
+    return { total, rows };
+}
+
+// Drop examples taken from purged sessions (counts and the representative question stay)
+export async function pullSessionExamples(db, sids) {
+    if (!sids.length) return;
+    await clusters(db).updateMany({ "examples.sid": { $in: sids } }, { $pull: { examples: { sid: { $in: sids } } } });
+}
+
+export async function getCluster(db, id) {
+    return clusters(db).findOne({ _id: new ObjectId(String(id)) }, { projection: { centroid: 0 } });
+}
+
+export async function dismissCluster(db, id, reviewedBy = null) {
+    return clusters(db).findOneAndUpdate(
+        { _id: new ObjectId(String(id)), status: "open" },
+        { $set: { status: "dismissed", reviewedBy, reviewedAt: new Date() } },
+        { returnDocument: "after", projection: { centroid: 0 } }
+    );
+}
+
+// Turn a cluster into a faq_overrides entry (upserted by normalized question).
+// `question` / `answer` default to the cluster's representative question and draft.
+// Returns { cluster, overrideId } or { error }.
+export async function resolveCluster(db, id, { question, answer, force = false } = {}, reviewedBy = null) {
+    const cluster = await clusters(db).findOne({ _id: new ObjectId(String(id)) });
+    if (!cluster) return { error: "Not found", status: 404 };
+    if (cluster.status !== "open") return { error: `Cluster is already ${cluster.status}`, status: 409 };
+
+    const clean = String(question || cluster.question).trim();
+    const text = String(answer || cluster.draft?.answer || "").trim();
+    if (!text) return { error: "Missing answer (cluster has no draft)", status: 400 };
+
+    const example = cluster.examples?.[0] || {};
+    const { doc } = await upsertOverride(db, {
+        question: clean,
+        answer: text,
+        reviewer: reviewedBy || "admin",
+        force: !!force,
+        sid: example.sid || null,
+        assistantMid: example.assistantMid || null,
+        assistantContent: example.answer || null,
+        clusterId: cluster._id
+    }, { author: reviewedBy });
+
+    const updated = await clusters(db).findOneAndUpdate(
+        { _id: cluster._id },
+        { $set: { status: "resolved", reviewedBy, reviewedAt: new Date(), overrideId: doc._id } },
+        { returnDocument: "after", projection: { centroid: 0 } }
+    );
+    return { cluster: updated, overrideId: doc._id };
+}
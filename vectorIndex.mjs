@@ -0,0 +1,338 @@
+// server/vectorIndex.mjs
+// In-process approximate nearest-neighbour index (HNSW) over chunk embeddings.
+//
+// The graph is persisted to VECTOR_INDEX_PATH (default ./data/vector-index.bin)
+// and rebuilt from the `chunks` collection when the file is missing or was
+// built with a different embedding size. indexUrl keeps it current through
+// removeUrl()/addChunks(); saves are debounced, so CLI scripts should call
+// flushVectorIndex() before exiting. A server process reloads the file when
+// another process (e.g. node indexer.mjs) has written a newer one.
+import dotenv from "dotenv"; dotenv.config();
+import fs from "fs/promises";
+import path from "path";
+import { EMBED_DIMS } from "./providers.mjs";
+
+const INDEX_PATH = process.env.VECTOR_INDEX_PATH || path.resolve("data", "vector-index.bin");
+const SAVE_DELAY_MS = 5000;
+
+// ---------- min-heap keyed by distance ----------
+class Heap {
+    constructor(max = false) { this.items = []; this.sign = max ? -1 : 1; }
+    get size() { return this.items.length; }
+    peek() { return this.items[0]; }
+    push(item) {
+        const a = this.items; a.push(item);
+        let i = a.length - 1;
+        while (i > 0) {
+            const p = (i - 1) >> 1;
+            if (this.sign * (a[p].d - a[i].d) <= 0) break;
+            [a[p], a[i]] = [a[i], a[p]]; i = p;
+        }
+    }
+    pop() {
+        const a = this.items; const top = a[0]; const last = a.pop();
+        if (a.length) {
+            a[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1, r = l + 1; let m = i;
+                if (l < a.length && this.sign * (a[l].d - a[m].d) < 0) m = l;
+                if (r < a.length && this.sign * (a[r].d - a[m].d) < 0) m = r;
+                if (m === i) break;
+                [a[m], a[i]] = [a[i], a[m]]; i = m;
+            }
+        }
+        return top;
+    }
+}
+
+function normalized(vec) {
+    const v = Float32Array.from(vec, Number);
+    let n = 0;
+    for (let i = 0; i < v.length; i++) n += v[i] * v[i];
+    n = Math.sqrt(n) || 1;
+    for (let i = 0; i < v.length; i++) v[i] /= n;
+    return v;
+}
+
+// ---------- HNSW graph ----------
+export class HnswIndex {
+    constructor({ dims, M = 16, efConstruction = 100, efSearch = 64 } = {}) {
+        this.dims = dims;
+        this.M = M;
+        this.efConstruction = efConstruction;
+        this.efSearch = efSearch;
+        this.mL = 1 / Math.log(M);
+        this.nodes = [];          // { id, url, level, neighbors: number[][], deleted }
+        this.vectors = [];        // Float32Array per node
+        this.byId = new Map();    // chunk id -> node index
+        this.entry = -1;
+        this.maxLevel = -1;
+        this.deletedCount = 0;
+    }
+
+    get size() { return this.nodes.length - this.deletedCount; }
+
+    distance(q, i) {
+        const v = this.vectors[i];
+        let dot = 0;
+        for (let k = 0; k < v.length; k++) dot += q[k] * v[k];
+        return 1 - dot;
+    }
+
+    searchLayer(q, entryPoints, ef, level) {
+        const visited = new Set(entryPoints);
+        const candidates = new Heap(false);
+        const found = new Heap(true);
+        for (const ep of entryPoints) {
+            const d = this.distance(q, ep);
+            candidates.push({ i: ep, d });
+            found.push({ i: ep, d });
+        }
+        while (candidates.size) {
+            const c = candidates.pop();
+            if (c.d > found.peek().d && found.size >= ef) break;
+            for (const n of this.nodes[c.i].neighbors[level] || []) {
+                if (visited.has(n)) continue;
+                visited.add(n);
+                const d = this.distance(q, n);
+                if (found.size < ef || d < found.peek().d) {
+                    candidates.push({ i: n, d });
+                    found.push({ i: n, d });
+                    if (found.size > ef) found.pop();
+                }
+            }
+        }
+        return found.items.sort((a, b) => a.d - b.d);
+    }
+
+    // keep the closest `max` neighbours of node i on a level
+    prune(i, level, max) {
+        const list = this.nodes[i].neighbors[level];
+        if (list.length <= max) return;
+        const v = this.vectors[i];
+        this.nodes[i].neighbors[level] = list
+            .map(n => ({ n, d: this.distance(v, n) }))
+            .sort((a, b) => a.d - b.d)
+            .slice(0, max)
+            .map(x => x.n);
+    }
+
+    add(id, url, vector) {
+        id = String(id);
+        if (this.byId.has(id)) this.remove(id);
+        const q = normalized(vector);
+        if (!this.dims) this.dims = q.length;
+        if (q.length !== this.dims) throw new Error(`Vector has ${q.length} dims, index expects ${this.dims}`);
+
+        const level = Math.floor(-Math.log(Math.random() || 1e-12) * this.mL);
+        const i = this.nodes.length;
+        this.nodes.push({ id, url, level, neighbors: Array.from({ length: level + 1 }, () => []), deleted: false });
+        this.vectors.push(q);
+        this.byId.set(id, i);
+
+        if (this.entry < 0) { this.entry = i; this.maxLevel = level; return; }
+
+        let ep = [this.entry];
+        for (let l = this.maxLevel; l > level; l--) ep = [this.searchLayer(q, ep, 1, l)[0].i];
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const found = this.searchLayer(q, ep, this.efConstruction, l);
+            const max = l === 0 ? this.M * 2 : this.M;
+            const picked = found.slice(0, this.M).map(f => f.i);
+            this.nodes[i].neighbors[l] = picked;
+            for (const n of picked) {
+                this.nodes[n].neighbors[l].push(i);
+                this.prune(n, l, max);
+            }
+            ep = found.map(f => f.i);
+        }
+        if (level > this.maxLevel) { this.maxLevel = level; this.entry = i; }
+    }
+
+    // soft delete: node stays in the graph for navigation but is never returned
+    remove(id) {
+        const i = this.byId.get(String(id));
+        if (i === undefined) return false;
+        this.byId.delete(String(id));
+        if (!this.nodes[i].deleted) { this.nodes[i].deleted = true; this.deletedCount++; }
+        return true;
+    }
+
+    removeUrl(url) {
+        let n = 0;
+        for (const node of this.nodes) if (!node.deleted && node.url === url && this.remove(node.id)) n++;
+        return n;
+    }
+
+    // returns [{ id, url, score }] best first; score is cosine similarity
+    search(vector, k = 10, ef = this.efSearch) {
+        if (this.entry < 0 || !this.size) return [];
+        const q = normalized(vector);
+        let ep = [this.entry];
+        for (let l = this.maxLevel; l > 0; l--) ep = [this.searchLayer(q, ep, 1, l)[0].i];
+        // over-fetch to make room for soft-deleted nodes
+        const found = this.searchLayer(q, ep, Math.max(ef, k) + Math.min(this.deletedCount, k), 0);
+        return found
+            .filter(f => !this.nodes[f.i].deleted)
+            .slice(0, k)
+            .map(f => ({ id: this.nodes[f.i].id, url: this.nodes[f.i].url, score: 1 - f.d }));
+    }
+
+    // rebuild without soft-deleted nodes once they pile up
+    compact() {
+        const fresh = new HnswIndex({ dims: this.dims, M: this.M, efConstruction: this.efConstruction, efSearch: this.efSearch });
+        this.nodes.forEach((n, i) => { if (!n.deleted) fresh.add(n.id, n.url, this.vectors[i]); });
+        return fresh;
+    }
+
+    // ---------- (de)serialization: [u32 meta length][meta JSON][pad][float32 vectors] ----------
+    toBuffer() {
+        const meta = Buffer.from(JSON.stringify({
+            version: 1,
+            dims: this.dims || 0, M: this.M, efConstruction: this.efConstruction, efSearch: this.efSearch,
+            entry: this.entry, maxLevel: this.maxLevel,
+            nodes: this.nodes.map(n => [n.id, n.url, n.level, n.deleted ? 1 : 0, n.neighbors])
+        }), "utf8");
+        const offset = Math.ceil((4 + meta.length) / 4) * 4;
+        const buf = Buffer.alloc(offset + this.nodes.length * (this.dims || 0) * 4);
+        buf.writeUInt32LE(meta.length, 0);
+        meta.copy(buf, 4);
+        this.vectors.forEach((v, i) => Buffer.from(v.buffer, v.byteOffset, v.byteLength).copy(buf, offset + i * this.dims * 4));
+        return buf;
+    }
+
+    static fromBuffer(buf) {
+        const len = buf.readUInt32LE(0);
+        const meta = JSON.parse(buf.subarray(4, 4 + len).toString("utf8"));
+        const offset = Math.ceil((4 + len) / 4) * 4;
+        const idx = new HnswIndex(meta);
+        idx.entry = meta.entry;
+        idx.maxLevel = meta.maxLevel;
+        meta.nodes.forEach(([id, url, level, deleted, neighbors], i) => {
+            idx.nodes.push({ id, url, level, neighbors, deleted: !!deleted });
+            const start = offset + i * meta.dims * 4;
+            idx.vectors.push(new Float32Array(buf.buffer.slice(buf.byteOffset + start, buf.byteOffset + start + meta.dims * 4)));
+            if (deleted) idx.deletedCount++;
+            else idx.byId.set(id, i);
+        });
+        return idx;
+    }
+}
+
+// ---------- process-wide instance ----------
+let index = null;
+let loadedMtime = 0;
+let loading = null;
+let saveTimer = null;
+
+async function fileMtime() {
+    try { return (await fs.stat(INDEX_PATH)).mtimeMs; } catch { return 0; }
+}
+
+// Chunks embedded at a different size than EMBED_DIMS (the embedding model
+// changed without a re-index) are left out: they can't be compared with query
+// vectors, so the fix is `node reset-index.mjs` and a fresh crawl.
+export async function buildFromChunks(db) {
+    console.log("Building vector index from chunks…");
+    const idx = new HnswIndex({ dims: EMBED_DIMS });
+    const cur = db.collection("chunks").find({ embedding: { $exists: true }, tombstoned: { $ne: true } }).project({ url: 1, embedding: 1 });
+    let n = 0;
+    let skipped = 0;
+    for await (const c of cur) {
+        if (!Array.isArray(c.embedding) || !c.embedding.length) continue;
+        if (c.embedding.length !== EMBED_DIMS) { skipped++; continue; }
+        idx.add(c._id.toString(), c.url, c.embedding);
+        if (++n % 1000 === 0) console.log(`Vector index: ${n} chunks`);
+    }
+    console.log(`Vector index built (${n} chunks)`);
+    if (skipped) {
+        console.warn(`Vector index: skipped ${skipped} chunk(s) whose embeddings are not ${EMBED_DIMS}-dim (EMBED_DIMS). `
+            + "They were embedded with another model; run `node reset-index.mjs` and re-crawl to re-embed them.");
+    }
+    return idx;
+}
+
+async function load(db) {
+    const mtime = await fileMtime();
+    if (mtime) {
+        try {
+            const loaded = HnswIndex.fromBuffer(await fs.readFile(INDEX_PATH));
+            if (!loaded.dims || loaded.dims === EMBED_DIMS) {
+                loaded.dims = EMBED_DIMS;
+                index = loaded;
+                loadedMtime = mtime;
+                console.log(`Vector index loaded (${index.size} vectors) from ${INDEX_PATH}`);
+                return index;
+            }
+            console.warn(`Vector index has ${loaded.dims}-dim vectors, embeddings are ${EMBED_DIMS}; rebuilding`);
+        } catch (err) {
+            console.warn("Vector index file unreadable, rebuilding:", err.message || err);
+        }
+    }
+    index = await buildFromChunks(db);
+    await saveNow();
+    return index;
+}
+
+// Returns the loaded index (building it on first use), reloading from disk if
+// another process has saved a newer copy and we have no unsaved changes.
+export async function getVectorIndex(db) {
+    if (loading) return loading;
+    if (index && !saveTimer) {
+        const mtime = await fileMtime();
+        if (mtime && mtime > loadedMtime) index = null;
+    }
+    if (!index) {
+        loading = load(db).finally(() => { loading = null; });
+        return loading;
+    }
+    return index;
+}
+
+async function saveNow() {
+    if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
+    if (!index) return;
+    if (index.deletedCount > 1000 && index.deletedCount > index.nodes.length * 0.3) index = index.compact();
+    await fs.mkdir(path.dirname(INDEX_PATH), { recursive: true });
+    const tmp = `${INDEX_PATH}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, index.toBuffer());
+    await fs.rename(tmp, INDEX_PATH);
+    loadedMtime = await fileMtime();
+}
+
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveNow().catch(err => console.error("Vector index save failed:", err));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+}
+
+export async function flushVectorIndex() {
+    if (saveTimer) await saveNow();
+}
+
+// ---------- incremental updates (used by indexUrl) ----------
+export async function removeUrlFromIndex(db, url) {
+    const idx = await getVectorIndex(db);
+    if (idx.removeUrl(url)) scheduleSave();
+}
+
+export async function addChunksToIndex(db, chunks) {
+    const idx = await getVectorIndex(db);
+    for (const c of chunks) idx.add(c._id.toString(), c.url, c.embedding);
+    if (chunks.length) scheduleSave();
+}
+
+// Throw the index away (e.g. after reset-index wipes chunks); rebuilt lazily.
+export async function resetVectorIndex() {
+    if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
+    index = new HnswIndex({ dims: EMBED_DIMS });
+    await saveNow();
+}
+
+// ---------- query ----------
+export async function searchVectors(db, qvec, k = 100) {
+    const idx = await getVectorIndex(db);
+    return idx.search(qvec, k, Math.max(k, idx.efSearch));
+}